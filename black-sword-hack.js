@@ -1,9 +1,24 @@
 import {BSHActor} from './modules/documents/bsh_actor.js';
+import {BSHChatMessage} from './modules/documents/bsh_chat_message.js';
+import {BSH_API} from './modules/api.js';
 import BSHCombat from './modules/combat.js';
 import {BSHConfiguration} from './modules/configuration.js';
+import {BSHRoll} from './modules/dice/bsh_roll.js';
 import {CLASSIC_ORIGINS} from './modules/constants.js';
+import {onHotbarDrop} from './modules/macros.js';
 import {runMigrations} from './modules/migrations.js';
 import {BSHItem} from './modules/documents/bsh_item.js';
+import CharacterData from './modules/data/character-data.js';
+import ConsumableData from './modules/data/consumable-data.js';
+import CreatureActionData from './modules/data/creature-action-data.js';
+import CreatureData from './modules/data/creature-data.js';
+import DemonData from './modules/data/demon-data.js';
+import EquipmentData from './modules/data/equipment-data.js';
+import GiftData from './modules/data/gift-data.js';
+import OriginData from './modules/data/origin-data.js';
+import SpellData from './modules/data/spell-data.js';
+import SpiritData from './modules/data/spirit-data.js';
+import WeaponData from './modules/data/weapon-data.js';
 import CharacterSheet from './modules/sheets/character-sheet.js';
 import ConsumableSheet from './modules/sheets/consumable-sheet.js';
 import CreatureActionSheet from './modules/sheets/creature-action-sheet.js';
@@ -15,19 +30,31 @@ import DemonSheet from './modules/sheets/demon-sheet.js';
 import SpellSheet from './modules/sheets/spell-sheet.js';
 import SpiritSheet from './modules/sheets/spirit-sheet.js';
 import WeaponSheet from './modules/sheets/weapon-sheet.js';
-import {logDamageRoll, toggleAttributeTestDisplay} from './modules/chat_messages.js';
+import {logCreatureActionDefence, logDamageRoll, toggleAttributeTestDisplay} from './modules/chat_messages.js';
+import {onApplyDamageClicked, onUndoDamageClicked} from './modules/damage.js';
+import {registerFumbleSettings} from './modules/fumbles.js';
+import {onCombatantPreCreate,
+        onCombatantUpdated,
+        onCreatureUpdated,
+        onGetCombatTrackerEntryContext,
+        registerMoraleSettings} from './modules/morale.js';
+import {onPushedLinkClicked, onPushRollClicked} from './modules/push.js';
 import {getBackgrounds, getOrigins} from './modules/origins.js';
+import {onActorUpdated, registerStatusEffects} from './modules/status_effects.js';
 import {capitalize, stringToKey} from './modules/shared.js';
 
 async function preloadHandlebarsTemplates() {
     const paths = ["systems/black-sword-hack/templates/messages/attack-roll.hbs",
                    "systems/black-sword-hack/templates/messages/damage.hbs",
+                   "systems/black-sword-hack/templates/messages/damage-applied.hbs",
                    "systems/black-sword-hack/templates/messages/damage-roll.hbs",
                    "systems/black-sword-hack/templates/messages/demon-failure.hbs",
                    "systems/black-sword-hack/templates/messages/demon-success.hbs",
                    "systems/black-sword-hack/templates/messages/die-roll.hbs",
                    "systems/black-sword-hack/templates/messages/doomed.hbs",
                    "systems/black-sword-hack/templates/messages/doom-roll.hbs",
+                   "systems/black-sword-hack/templates/messages/push.hbs",
+                   "systems/black-sword-hack/templates/messages/pushed.hbs",
                    "systems/black-sword-hack/templates/messages/roll.hbs",
                    "systems/black-sword-hack/templates/messages/spirit-failure.hbs",
                    "systems/black-sword-hack/templates/messages/spirit-success.hbs",
@@ -39,6 +66,7 @@ async function preloadHandlebarsTemplates() {
                    "systems/black-sword-hack/templates/partials/cs-base-attributes-list.hbs",
                    "systems/black-sword-hack/templates/partials/cs-consumable-entry.hbs",
                    "systems/black-sword-hack/templates/partials/cs-demon-entry.hbs",
+                   "systems/black-sword-hack/templates/partials/cs-effect-entry.hbs",
                    "systems/black-sword-hack/templates/partials/cs-equipment-entry.hbs",
                    "systems/black-sword-hack/templates/partials/cs-equipment-tab-body.hbs",
                    "systems/black-sword-hack/templates/partials/cs-fp-background-entry.hbs",
@@ -52,17 +80,47 @@ async function preloadHandlebarsTemplates() {
                    "systems/black-sword-hack/templates/partials/cs-tab-bodies.hbs",
                    "systems/black-sword-hack/templates/partials/cs-tab-labels.hbs",
                    "systems/black-sword-hack/templates/partials/cs-weapon-entry.hbs",
-                   "systems/black-sword-hack/templates/partials/cr-action-entry.hbs"];
+                   "systems/black-sword-hack/templates/partials/cr-action-entry.hbs",
+                   "systems/black-sword-hack/templates/partials/item-effects.hbs"];
     return(loadTemplates(paths))
 }
 
 Hooks.once("init", function() {
     console.log("Initializing the Black Sword Hack System.");
 
-    CONFIG.Actor.documentClass  = BSHActor;
-    CONFIG.Combat.documentClass = BSHCombat;
-    CONFIG.configuration        = BSHConfiguration;
-    CONFIG.Item.documentClass   = BSHItem;
+    CONFIG.Actor.documentClass       = BSHActor;
+    CONFIG.ChatMessage.documentClass = BSHChatMessage;
+    CONFIG.Combat.documentClass      = BSHCombat;
+    CONFIG.configuration             = BSHConfiguration;
+    CONFIG.Item.documentClass        = BSHItem;
+    game.bsh                         = BSH_API;
+
+    // Registered so that rolls attached to chat messages are restored as BSHRolls.
+    CONFIG.Dice.rolls.push(BSHRoll);
+
+    // Item effects apply directly to the owning actor rather than being copied.
+    CONFIG.ActiveEffect.legacyTransferral = false;
+
+    CONFIG.Actor.dataModels.character      = CharacterData;
+    CONFIG.Actor.dataModels.creature       = CreatureData;
+    CONFIG.Item.dataModels.consumable      = ConsumableData;
+    CONFIG.Item.dataModels.creature_action = CreatureActionData;
+    CONFIG.Item.dataModels.demon           = DemonData;
+    CONFIG.Item.dataModels.equipment       = EquipmentData;
+    CONFIG.Item.dataModels.gift            = GiftData;
+    CONFIG.Item.dataModels.origin          = OriginData;
+    CONFIG.Item.dataModels.spell           = SpellData;
+    CONFIG.Item.dataModels.spirit          = SpiritData;
+    CONFIG.Item.dataModels.weapon          = WeaponData;
+
+    registerStatusEffects();
+
+    game.settings.register("black-sword-hack", "criticalsIgnoreArmour", {config:  true,
+                                                                         default: false,
+                                                                         hint:    game.i18n.localize("bsh.settings.options.criticalsIgnoreArmour.blurb"),
+                                                                         name:    game.i18n.localize("bsh.settings.options.criticalsIgnoreArmour.title"),
+                                                                         scope:   "world",
+                                                                         type:    Boolean});
 
     game.settings.register("black-sword-hack", "customOrigins", {config:  true,
                                                                  default: false,
@@ -71,6 +129,51 @@ Hooks.once("init", function() {
                                                                  scope:   "world",
                                                                  type:    Boolean});
 
+    registerFumbleSettings();
+    registerMoraleSettings();
+
+    game.settings.register("black-sword-hack", "initiativeTies", {choices: Object.fromEntries(Object.entries(BSHConfiguration.initiativeTieBreaks).map(([key, label]) => [key, game.i18n.localize(label)])),
+                                                                   config:  true,
+                                                                   default: "charactersFirst",
+                                                                   hint:    game.i18n.localize("bsh.settings.options.initiativeTies.blurb"),
+                                                                   name:    game.i18n.localize("bsh.settings.options.initiativeTies.title"),
+                                                                   onChange: () => {
+                                                                       game.combats.forEach((combat) => combat.setupTurns());
+                                                                       ui.combat.render();
+                                                                   },
+                                                                   scope:   "world",
+                                                                   type:    String});
+
+    game.settings.register("black-sword-hack", "pushCost", {choices: {doom: game.i18n.localize("bsh.settings.options.pushCost.choices.doom"),
+                                                                       none: game.i18n.localize("bsh.settings.options.pushCost.choices.none")},
+                                                             config:  true,
+                                                             default: "none",
+                                                             hint:    game.i18n.localize("bsh.settings.options.pushCost.blurb"),
+                                                             name:    game.i18n.localize("bsh.settings.options.pushCost.title"),
+                                                             scope:   "world",
+                                                             type:    String});
+
+    game.settings.register("black-sword-hack", "rerollInitiative", {config:  true,
+                                                                    default: false,
+                                                                    hint:    game.i18n.localize("bsh.settings.options.rerollInitiative.blurb"),
+                                                                    name:    game.i18n.localize("bsh.settings.options.rerollInitiative.title"),
+                                                                    scope:   "world",
+                                                                    type:    Boolean});
+
+    game.settings.register("black-sword-hack", "rollDialog", {choices: {always:   game.i18n.localize("bsh.settings.options.rollDialog.choices.always"),
+                                                                         modifier: game.i18n.localize("bsh.settings.options.rollDialog.choices.modifier")},
+                                                               config:  true,
+                                                               default: "always",
+                                                               hint:    game.i18n.localize("bsh.settings.options.rollDialog.blurb"),
+                                                               name:    game.i18n.localize("bsh.settings.options.rollDialog.title"),
+                                                               scope:   "client",
+                                                               type:    String});
+
+    game.settings.register("black-sword-hack", "systemMigrationVersion", {config:  false,
+                                                                          default: "",
+                                                                          scope:   "world",
+                                                                          type:    String});
+
     Items.unregisterSheet("core", ItemSheet);
     Items.registerSheet("black-sword-hack", ConsumableSheet, {types: ["consumable"]});
     Items.registerSheet("black-sword-hack", CreatureActionSheet, {types: ["creature_action"]});
@@ -231,6 +334,13 @@ Hooks.once("init", function() {
         return(text);
     });
 
+    Handlebars.registerHelper("damageTypeName", function(type) {
+        return(`${type || ""}`.split(",")
+                              .filter((entry) => entry in BSHConfiguration.damageTypes)
+                              .map((entry) => game.i18n.localize(BSHConfiguration.damageTypes[entry]))
+                              .join(", "));
+    });
+
     Handlebars.registerHelper("weaponType", function(type) {
         if(type === "ranged") {
             return(game.i18n.localize("bsh.weapons.types.ranged"));
@@ -242,6 +352,13 @@ Hooks.once("init", function() {
     });
 
     // Add hook functions.
+    Hooks.on("getCombatTrackerEntryContext", onGetCombatTrackerEntryContext);
+    Hooks.on("hotbarDrop", onHotbarDrop);
+    Hooks.on("preCreateCombatant", onCombatantPreCreate);
+    Hooks.on("updateActor", onActorUpdated);
+    Hooks.on("updateActor", onCreatureUpdated);
+    Hooks.on("updateCombatant", onCombatantUpdated);
+
     Hooks.on("renderChatMessage", (message, speaker) => {
         setTimeout(() => {
             let element = document.querySelector(`[data-message-id="${message.id}"]`);
@@ -255,6 +372,31 @@ Hooks.once("init", function() {
             if(node) {
                 node.addEventListener("click", logDamageRoll);
             }
+
+            element.querySelectorAll(".bsh-defend-button").forEach((button) => {
+                button.addEventListener("click", logCreatureActionDefence);
+            });
+
+            element.querySelectorAll(".bsh-apply-damage-button").forEach((button) => {
+                button.addEventListener("click", onApplyDamageClicked);
+            });
+
+            node = element.querySelector(".bsh-undo-damage-button");
+            if(node) {
+                node.disabled = (message.flags.bsh && message.flags.bsh.damage && message.flags.bsh.damage.undone);
+                node.addEventListener("click", onUndoDamageClicked);
+            }
+
+            node = element.querySelector(".bsh-push-button");
+            if(node) {
+                node.disabled = (message.flags.bsh && message.flags.bsh.test && message.flags.bsh.test.pushed);
+                node.addEventListener("click", onPushRollClicked);
+            }
+
+            node = element.querySelector(".bsh-pushed-link");
+            if(node) {
+                node.addEventListener("click", onPushedLinkClicked);
+            }
         }, 250);
     });
 });
@@ -0,0 +1,60 @@
+/**
+ * Generates the list of entries used to display a set of active effects on a
+ * sheet. If an owning actor is specified the entries also record the name of
+ * the item (if any) that each effect comes from.
+ */
+export function prepareActiveEffects(effects, actor=null) {
+    let entries = [];
+
+    for(let effect of effects) {
+        entries.push({disabled: effect.disabled,
+                      img:      effect.img,
+                      name:     effect.name,
+                      source:   (actor && effect.parent !== actor ? effect.parent.name : ""),
+                      uuid:     effect.uuid});
+    }
+
+    return(entries.sort((lhs, rhs) => lhs.name.localeCompare(rhs.name)));
+}
+
+/**
+ * Event handler for the controls used to create, edit, toggle and delete the
+ * active effects on a sheet. The action is taken from the data-action attribute
+ * of the control clicked, the effect from its data-effect attribute. New
+ * effects are created on the owner passed in.
+ */
+export async function onManageActiveEffect(event, owner) {
+    let element = event.currentTarget;
+    let effect  = (element.dataset.effect ? await fromUuid(element.dataset.effect) : null);
+
+    event.preventDefault();
+    if(element.dataset.action === "create") {
+        await owner.createEmbeddedDocuments("ActiveEffect",
+                                            [{img:      "icons/svg/aura.svg",
+                                              name:     game.i18n.localize("bsh.effects.newEffect"),
+                                              origin:   owner.uuid,
+                                              transfer: (owner.documentName === "Item")}],
+                                            {renderSheet: true});
+    } else if(effect) {
+        switch(element.dataset.action) {
+            case "delete":
+                await effect.delete();
+                break;
+
+            case "edit":
+                effect.sheet.render(true);
+                break;
+
+            case "toggle":
+                await effect.update({disabled: !effect.disabled});
+                break;
+
+            default:
+                console.error(`Unrecognised active effect action '${element.dataset.action}' requested.`);
+        }
+    } else {
+        console.error(`Unable to locate the active effect '${element.dataset.effect}'.`);
+    }
+
+    return(false);
+}
@@ -0,0 +1,284 @@
+import {applyDamage} from './damage.js';
+import {randomizeCharacter} from './characters.js';
+import {rollAttributeMacro, rollItemMacro} from './macros.js';
+import {logAttackRoll,
+        logAttributeTest,
+        logDodgeRoll,
+        logDoomDieRoll,
+        logItemUsageDieRoll,
+        logParryRoll} from './chat_messages.js';
+import {summonDemon, summonSpirit} from './darkpacts.js';
+import {exhaustDoomDie, resetDoomDie} from './doom.js';
+import {takeLongRest, takeShortRest} from './rests.js';
+import {pushTest} from './push.js';
+import {checkMorale} from './morale.js';
+import {castSpell} from './spells.js';
+import {BSHRoll} from './dice/bsh_roll.js';
+import {RollModifiers} from './dice/roll_modifiers.js';
+
+/**
+ * This module defines the public API for the system, which is made available
+ * to macros and other modules as game.bsh. None of the API functions require
+ * a DOM event and all of them return a promise.
+ *
+ * Most functions accept an options object. The options recognised are:
+ *
+ *   rollType    One of "standard" (the default), "advantage" or
+ *               "disadvantage".
+ *   adjustment  A number to be added to the roll (tests only).
+ *   threat      The Threat Level to apply to the roll (tests only). If not
+ *               specified it is calculated from the users current targets.
+ *   chat        Set to false to prevent the result being posted to chat.
+ *
+ * Functions that make a roll yield a result object that includes the formula
+ * rolled, the total (result) and whether the roll was a success. If the
+ * requested action cannot be carried out the promise yields null.
+ *
+ * The functions under game.bsh.macros are those invoked by the macros created
+ * when items and attributes are dragged from a character sheet to the hotbar.
+ *
+ * The BSHRoll class used for all system rolls is exposed as game.bsh.BSHRoll
+ * so that modules can make their own tests or extend it, along with the
+ * RollModifiers stack that decides advantage and disadvantage for those rolls.
+ */
+
+/**
+ * Converts a rollType option into the key modifier settings that the chat
+ * message functions expect.
+ */
+function getRollKeys(options) {
+    return({ctrlKey:  (options.rollType === "disadvantage"),
+            shiftKey: (options.rollType === "advantage")});
+}
+
+/**
+ * Checks that a document passed to an API function is of one of a list of
+ * types, logging an error if it is not.
+ */
+function checkType(document, types, functionName) {
+    let valid = !!(document && types.includes(document.type));
+
+    if(!valid) {
+        console.error(`The game.bsh.${functionName}() function requires a ${types.join(" or ")} but was passed:`, document);
+    }
+    return(valid);
+}
+
+/**
+ * Wraps the result of a function that may or may not return a promise so that
+ * a promise yielding null is returned in place of an undefined value.
+ */
+async function settle(result) {
+    result = await result;
+    return(result === undefined ? null : result);
+}
+
+/**
+ * Makes an attack roll for a character with one of their weapons. The
+ * attackMode option selects how the weapon is used (e.g. "thrown"). Yields
+ * the roll details, including the damage formula if the attack hit.
+ */
+function attack(actor, weapon, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(actor, ["character"], "attack") || !checkType(weapon, ["weapon"], "attack")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(logAttackRoll(actor, weapon, keys.shiftKey, keys.ctrlKey, false, options)));
+}
+
+/**
+ * Casts one of a characters spells. Yields the casting roll details.
+ */
+function cast(spell, options={}) {
+    if(!checkType(spell, ["spell"], "cast")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(castSpell(spell, options)));
+}
+
+/**
+ * Applies damage (or, with a mode of "heal", healing) to a list of actors.
+ * Recognised options are mode ("full", "half", "double" or "heal"), critical,
+ * damageType and ignoreArmour. Yields the list of hit point changes made.
+ */
+function damage(actors, amount, options={}) {
+    let list = (Array.isArray(actors) ? actors : [actors]);
+
+    return(applyDamage(list, amount, options.mode || "full", options));
+}
+
+/**
+ * Makes a dodge roll for a character.
+ */
+function dodge(actor, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(actor, ["character"], "dodge")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(logDodgeRoll(actor, keys.shiftKey, keys.ctrlKey, (options.threat === undefined ? null : options.threat), options)));
+}
+
+/**
+ * Exhausts a characters doom die.
+ */
+async function exhaustDoom(actor) {
+    if(!checkType(actor, ["character"], "exhaustDoom")) {
+        return(null);
+    }
+    await exhaustDoomDie(actor);
+    return({doom: actor.system.doom});
+}
+
+/**
+ * Makes a morale check for a creature, applying the consequences set by the
+ * world settings if it fails. The reason option is the localization key for
+ * why the check is being made. Yields the roll details.
+ */
+function moraleCheck(actor, options={}) {
+    if(!checkType(actor, ["creature"], "moraleCheck")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(checkMorale(actor, options)));
+}
+
+/**
+ * Makes a parry roll for a character.
+ */
+function parry(actor, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(actor, ["character"], "parry")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(logParryRoll(actor, keys.shiftKey, keys.ctrlKey, (options.threat === undefined ? null : options.threat), options)));
+}
+
+/**
+ * Pushes a failed test, making it again. The message is the chat message for
+ * the original test. Recognised options are rollType, rollMode, adjustment
+ * and threat, with the last two defaulting to those of the original test.
+ * Yields the roll details for the new test.
+ */
+function push(message, options={}) {
+    return(settle(pushTest(message, options)));
+}
+
+/**
+ * Randomly generates the origin, attributes, birth place and backgrounds for
+ * a character. Yields the generated data.
+ */
+function randomize(actor) {
+    if(!checkType(actor, ["character"], "randomize")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(randomizeCharacter(actor)));
+}
+
+/**
+ * Resets a characters doom die to its maximum.
+ */
+async function resetDoom(actor) {
+    if(!checkType(actor, ["character"], "resetDoom")) {
+        return(null);
+    }
+    await resetDoomDie(actor);
+    return({doom: actor.system.doom});
+}
+
+/**
+ * Takes a long or short rest for a character. The type of rest is set by the
+ * type option, which should be either "long" (the default) or "short".
+ */
+function rest(actor, options={}) {
+    if(!checkType(actor, ["character"], "rest")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(options.type === "short" ? takeShortRest(actor) : takeLongRest(actor)));
+}
+
+/**
+ * Makes a doom die roll for a character. Yields the roll details, including
+ * the starting and ending doom die.
+ */
+function rollDoom(actor, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(actor, ["character"], "rollDoom")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(logDoomDieRoll(actor, keys.shiftKey, keys.ctrlKey, options)));
+}
+
+/**
+ * Rolls the usage die for an owned item. The field option names the usage die
+ * field on the item and defaults to "usageDie".
+ */
+function rollUsageDie(item, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(item, ["consumable", "equipment", "weapon"], "rollUsageDie")) {
+        return(Promise.resolve(null));
+    }
+    return(settle(logItemUsageDieRoll(item, options.field || "usageDie", keys.shiftKey, keys.ctrlKey, options)));
+}
+
+/**
+ * Summons one of a characters demons or spirits. Yields the details of the
+ * doom roll made for the summoning.
+ */
+function summon(pact, options={}) {
+    if(!checkType(pact, ["demon", "spirit"], "summon")) {
+        return(Promise.resolve(null));
+    }
+    if(pact.type === "demon") {
+        return(settle(summonDemon(pact, options.rollType || "standard", options)));
+    } else {
+        return(settle(summonSpirit(pact, options.rollType || "standard", options)));
+    }
+}
+
+/**
+ * Makes an attribute test for a character. The attribute should be the full
+ * attribute name (e.g. "strength").
+ */
+function testAttribute(actor, attribute, options={}) {
+    let keys = getRollKeys(options);
+
+    if(!checkType(actor, ["character"], "testAttribute")) {
+        return(Promise.resolve(null));
+    }
+    if(!(attribute in actor.system.attributes)) {
+        console.error(`The game.bsh.testAttribute() function was passed an unrecognised attribute '${attribute}'.`);
+        return(Promise.resolve(null));
+    }
+    return(settle(logAttributeTest(actor,
+                                   attribute,
+                                   keys.shiftKey,
+                                   keys.ctrlKey,
+                                   false,
+                                   (parseInt(options.adjustment) || 0),
+                                   (options.threat === undefined ? null : options.threat),
+                                   options)));
+}
+
+export const BSH_API = {attack,
+                        BSHRoll,
+                        cast,
+                        damage,
+                        dodge,
+                        exhaustDoom,
+                        macros: {rollAttribute: rollAttributeMacro,
+                                 rollItem:      rollItemMacro},
+                        moraleCheck,
+                        parry,
+                        push,
+                        randomize,
+                        resetDoom,
+                        rest,
+                        rollDoom,
+                        RollModifiers,
+                        rollUsageDie,
+                        summon,
+                        testAttribute};
@@ -93,7 +93,8 @@ function generateBackground(origins, allowUniques, ignoreList) {
 }
 
 /**
- * Randomly generates all of the basic aspects of a character.
+ * Randomly generates all of the basic aspects of a character. Returns a promise
+ * that yields the generated data once the actor has been updated.
  */
 export function randomizeCharacter(actor) {
     let data = {attributes: {
@@ -113,7 +114,7 @@ export function randomizeCharacter(actor) {
                 coins: {first: 0},
                 origin: ""};
 
-    generateAttributeScores()
+    return(generateAttributeScores()
         .then((attributes) => {
             data.attributes = attributes;
             return(randomOrigin());
@@ -144,7 +145,8 @@ export function randomizeCharacter(actor) {
         })
         .then(async (data) => {
             await actor.update({system: data}, {diff: true});
-        });
+            return(data);
+        }));
 }
 
 /**
@@ -1,205 +1,352 @@
 // modules/chat_messages.js
 
 import { BSHConfiguration } from './configuration.js';
+import { BSHRoll } from './dice/bsh_roll.js';
+import { RollModifiers } from './dice/roll_modifiers.js';
+import { getRollSettings } from './roll_dialog.js';
 import { rollDoom } from './doom.js';
+import { drawFumble } from './fumbles.js';
+import { addEffectRollModifiers } from './status_effects.js';
+import { calculateThreat } from './threat.js';
 import {
   calculateAttributeValues,
-  decrementItemQuantity,
   downgradeDie,
   generateDamageRollFormula,
-  generateDieRollFormula,
   getObjectField,
   interpolate,
   rollEm,
   setObjectField
 } from './shared.js';
+import {
+  getAmmunition,
+  getAttackAttribute,
+  getAttackModes,
+  getAttackRange,
+  getWeaponDamageTypes,
+  hasWeaponProperty,
+  isWeaponReady
+} from './weapons.js';
 
 /**
- * Log a weapon attack roll for a PC, applying the Threat-Level bonus if the
- * targeted NPC’s level is higher than the PC’s level.
+ * The localization keys for the results of the different kinds of test.
+ */
+const ATTACK_LABELS = {
+  criticalFailure: "bsh.messages.labels.criticalMiss",
+  criticalSuccess: "bsh.messages.labels.criticalHit",
+  failure: "bsh.messages.labels.miss",
+  fumble: "bsh.blurbs.critical_failure",
+  success: "bsh.messages.labels.hit"
+};
+const DEFENCE_LABELS = {
+  criticalFailure: "bsh.messages.labels.criticalFailure",
+  criticalSuccess: "bsh.messages.labels.criticalSuccess",
+  failure: "bsh.messages.labels.failure",
+  fumble: "bsh.blurbs.defend_fumble",
+  success: "bsh.messages.labels.success"
+};
+const MORALE_LABELS = {
+  criticalFailure: "bsh.morale.outcomes.routed",
+  criticalSuccess: "bsh.morale.outcomes.steadfast",
+  failure: "bsh.morale.outcomes.breaks",
+  fumble: "bsh.morale.blurbs.routed",
+  success: "bsh.morale.outcomes.holds"
+};
+const TEST_LABELS = {
+  criticalFailure: "bsh.fields.titles.criticalFailure",
+  criticalSuccess: "bsh.fields.titles.criticalSuccess",
+  failure: "bsh.fields.titles.failure",
+  fumble: "bsh.blurbs.critical_failure",
+  success: "bsh.fields.titles.success"
+};
+
+/**
+ * Builds the roll modifier stack for a roll made by an actor from the key
+ * modifiers used and the actors status and active effects. The kind is the
+ * kind of roll as used by the status effect configuration.
  */
-export function logAttackRoll(actorId, weaponId, shiftKey = false, ctrlKey = false, expanded = false) {
-  const actor = game.actors.find(a => a.id === actorId);
-  if (!actor) {
-    return console.error(`Unable to locate an actor with the id '${actorId}'.`);
+function getRollModifiers(actor, kind, shiftKey, ctrlKey) {
+  return addEffectRollModifiers(actor, kind, new RollModifiers().addKeys(shiftKey, ctrlKey));
+}
+
+/**
+ * Displays the roll dialog (depending on the roll dialog setting) for a
+ * defence against an attribute, returning a promise that yields the roll
+ * settings or null if the roll was cancelled. The adjustment is the initial
+ * bonus or penalty for the defence.
+ */
+function getDefenceRollSettings(event, actor, attribute, threat, adjustment = 0) {
+  let title = game.i18n.localize(`bsh.rolls.tests.${attribute}.title`);
+
+  if (attribute === "strength") {
+    title = interpolate("bsh.messages.titles.parryRoll");
+  } else if (attribute === "dexterity") {
+    title = interpolate("bsh.messages.titles.dodgeRoll");
   }
+  return getRollSettings(event, {
+    adjustment: adjustment,
+    label: game.i18n.localize(`bsh.attributes.${attribute}.long`),
+    score: calculateAttributeValues(actor.system, BSHConfiguration)[attribute],
+    test: true,
+    threat: threat,
+    title: title
+  });
+}
+
+/**
+ * Evaluates a BSHRoll test and generates the roll details for a chat message
+ * from it. The labels supply the localization keys for the result text.
+ */
+function rollTest(roll, title, labels, expanded = false) {
+  return rollEm(roll).then(roll => {
+    const outcome = roll.getOutcome();
+    const data = {
+      critical: outcome.critical,
+      doomed: !!roll.options.doomed,
+      expanded: expanded,
+      formula: roll.formula,
+      labels: { result: "", title: title },
+      modifiers: outcome.modifiers,
+      result: roll.total,
+      success: outcome.success,
+      tested: true,
+      threat: outcome.threat
+    };
 
-  const weapon = actor.items.find(i => i.id === weaponId);
-  if (!weapon) {
-    return console.error(`Unable to locate weapon id '${weaponId}' on actor '${actor.name}'.`);
+    if (outcome.critical.success) {
+      data.labels.result = game.i18n.localize(labels.criticalSuccess);
+    } else if (outcome.critical.failure) {
+      data.labels.result = game.i18n.localize(labels.criticalFailure);
+      data.additional = {
+        message: game.i18n.localize(labels.fumble),
+        show: true
+      };
+    } else {
+      data.labels.result = game.i18n.localize(outcome.success ? labels.success : labels.failure);
+    }
+    return data;
+  });
+}
+
+/**
+ * Adds the details needed to push a failed test to the data for its chat
+ * card and returns the chat message flags that record how the test can be
+ * made again. The push describes the test (its kind plus anything else
+ * needed to repeat it) and settings are the settings the test was made with.
+ * If the test is itself a push the pushed setting holds the details of the
+ * original message and of any doom roll made to push it. A test can only be
+ * pushed once and only if it failed.
+ */
+function preparePush(actor, data, result, push, settings) {
+  const pushed = (settings.pushed || null);
+
+  data.pushable = (!result.success && !pushed);
+  data.pushed = pushed;
+  return {
+    bsh: {
+      test: Object.assign({
+        actorUuid: actor.uuid,
+        adjustment: (parseInt(settings.adjustment) || 0),
+        pushed: !!pushed,
+        success: !!result.success,
+        threat: (parseInt(settings.threat) || 0)
+      }, push)
+    }
+  };
+}
+
+/**
+ * Returns the list of rolls to attach to the chat card for a test, which
+ * includes the doom roll made to push it and the roll made on a fumble table
+ * if there were any.
+ */
+function getTestRolls(roll, pushed, result) {
+  const rolls = [roll];
+
+  if (pushed && pushed.doom && pushed.doom.roll) {
+    rolls.push(pushed.doom.roll);
   }
+  if (result && result.fumbleTable && result.fumbleTable.roll) {
+    rolls.push(result.fumbleTable.roll);
+  }
+  return rolls;
+}
 
-  // ─── Threat-Level Logic ─────────────────────────────────────────────────────
-  let threatBonus = 0;
-  // Only apply to PCs (actor.type === "character")
-  if (actor.type === "character") {
-    // If the user has exactly one target selected on the canvas, use its actor
-    const targetToken = Array.from(game.user.targets)[0];
-    const targetActor = targetToken?.actor;
-    if (targetActor && targetActor.type !== "character") {
-      // Compare levels: if NPC's level > PC's level, bonus = difference
-      const pcLevel = actor.system.level || 0;
-      const npcLevel = targetActor.system.level || 0;
-      if (npcLevel > pcLevel) {
-        threatBonus = npcLevel - pcLevel;
-      }
+/**
+ * Draws from the fumble table for a category (see the fumbles module) if a
+ * roll was a fumble, adding the result drawn to the roll details as
+ * fumbleTable. Returns a promise that yields the roll details.
+ */
+function addFumbleTableResult(result, category, fumbled) {
+  if (!category || !fumbled) {
+    return Promise.resolve(result);
+  }
+  return drawFumble(category).then(fumble => {
+    if (fumble) {
+      result.fumbleTable = fumble;
     }
+    return result;
+  });
+}
+
+/**
+ * Makes a roll under test for an actor and logs it to chat using the standard
+ * die roll template. The settings are passed to BSHRoll.test() and may also
+ * include expanded, fumble (overrides the fumble label), fumbleTable (the
+ * category of fumble table to draw from on a critical failure), push (see
+ * preparePush()), pushed and chat (set to false to suppress the chat
+ * message). Returns a promise that yields the roll details.
+ */
+function logTestRoll(actor, title, labels, settings) {
+  const roll = BSHRoll.test(settings);
+
+  if (settings.fumble) {
+    labels = Object.assign({}, labels, { fumble: settings.fumble });
+  }
+  const test = rollTest(roll, title, labels, settings.expanded).then(result => addFumbleTableResult(result, settings.fumbleTable, result.critical.failure));
+
+  return test.then(result => {
+    const message = {
+      actor: actor.name,
+      actorId: actor.id,
+      doomed: result.doomed,
+      roll: result
+    };
+    const flags = preparePush(actor, message, result, settings.push, settings);
+
+    if (settings.chat !== false) {
+      showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message, {
+        flags: flags,
+        rollMode: settings.rollMode,
+        rolls: getTestRolls(roll, settings.pushed, result)
+      });
+    }
+    return result;
+  });
+}
+
+/**
+ * Log a weapon attack roll for a PC, applying the Threat-Level bonus if the
+ * highest level targeted NPC’s level is higher than the PC’s level. The actor
+ * and weapon are documents, the weapon being one owned by the actor. Recognised
+ * options are adjustment (added to the roll), threat (overrides the calculated
+ * threat), attackMode (one of the weapons attack modes, defaulting to
+ * "standard"), rollMode, pushed (set when the attack pushes an earlier one)
+ * and chat (set to false to suppress the chat message). Weapons with the
+ * loading property must be reloaded after each attack that isn't a push and
+ * weapons with ammunition roll its usage die for each attack that isn't a
+ * push, refusing to attack once the ammunition is exhausted. Returns a promise
+ * that yields the roll details.
+ */
+export function logAttackRoll(actor, weapon, shiftKey = false, ctrlKey = false, expanded = false, options = {}) {
+  if (!weapon || weapon.type !== "weapon" || !weapon.actor || weapon.actor.uuid !== actor.uuid) {
+    console.error(`Unable to make an attack roll for '${actor.name}' as the weapon is not one of their weapons.`);
+    return Promise.resolve(null);
+  }
+
+  const attackMode = (options.attackMode || "standard");
+  const attackModes = getAttackModes(weapon);
+  if (!attackModes[attackMode]) {
+    console.error(`The '${attackMode}' attack mode is not available for weapon '${weapon.name}'.`);
+    ui.notifications.error(interpolate("bsh.errors.weapons.invalidAttackMode", { name: weapon.name }));
+    return Promise.resolve(null);
   }
-  // ────────────────────────────────────────────────────────────────────────────
 
-  // Calculate the PC’s attribute values (strength or dexterity)
+  if (!options.pushed && !isWeaponReady(weapon)) {
+    return Promise.resolve(null);
+  }
+
+  const ammunition = (options.pushed ? null : getAmmunition(weapon));
+
+  // Only applies to PCs, taking the highest level of all targeted NPCs
+  const threat = (options.threat !== undefined && options.threat !== null ? options.threat : calculateThreat(actor));
   const attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-  const attribute = (weapon.system.type !== "ranged" ? "strength" : "dexterity");
-  const critical = { failure: false, success: false };
-  const doomed = (actor.system.doom === "exhausted");
+  const attribute = getAttackAttribute(weapon, attackMode);
+  const doomed = actor.isDoomed;
 
-  // Build data object for chat template
+  const roll = BSHRoll.test({
+    adjustment: options.adjustment,
+    doomed: doomed,
+    modifiers: getRollModifiers(actor, "attack", shiftKey, ctrlKey),
+    target: attributes[attribute],
+    threat: threat
+  });
   const data = {
     actor: actor.name,
-    actorId: actorId,
+    actorId: actor.id,
+    attackMode: (attackMode !== "standard" ? game.i18n.localize(attackModes[attackMode]) : null),
     doomed: doomed,
+    range: game.i18n.localize(BSHConfiguration.weaponRanges[getAttackRange(weapon, attackMode)]),
     weapon: weapon.name,
     weaponId: weapon.id
   };
 
-  // ─── Build the d20 formula, including adv/dis and threatBonus ───────────────
-  let formulaDice;
-  if (shiftKey) {
-    // Advantage (unless doomed)
-    formulaDice = !doomed ? "2d20kl" : generateDieRollFormula();
-  } else if (ctrlKey) {
-    // Disadvantage
-    formulaDice = generateDieRollFormula({ kind: "disadvantage" });
-  } else {
-    // Normal roll (or forced disadvantage if doomed)
-    formulaDice = !doomed
-      ? generateDieRollFormula()
-      : generateDieRollFormula({ kind: "disadvantage" });
-  }
+  const ammunitionRoll = (ammunition ? logItemUsageDieRoll(ammunition, "usageDie", false, false, { chat: options.chat, rollMode: options.rollMode }) : Promise.resolve(null));
 
-  // Append the Threat bonus to the formula if > 0
-  const formula = threatBonus > 0
-    ? `${formulaDice} + ${threatBonus}`
-    : formulaDice;
-  // ────────────────────────────────────────────────────────────────────────────
-
-  // Roll the d20 (with threatBonus added)
-  rollEm(new Roll(formula)).then(roll => {
-    // Determine critical success/failure by looking solely at the first d20 result
-    const firstDieResult = roll.terms[0].results[0];
-    critical.failure = (firstDieResult === 20);
-    critical.success = (firstDieResult === 1);
-
-    // Prepare roll data for chat
-    data.roll = {
-      expanded: expanded,
-      formula: roll.formula,
-      labels: { title: interpolate("bsh.messages.titles.attackRoll") },
-      result: roll.total,
-      tested: true
-    };
+  const attack = ammunitionRoll.then(() => rollTest(roll, interpolate("bsh.messages.titles.attackRoll"), ATTACK_LABELS, expanded))
+                               .then(result => addFumbleTableResult(result, "attack", result.critical.failure));
 
-    // Win if not a critical failure and (attribute > total)
-    data.roll.success = (!critical.failure && attributes[attribute] > data.roll.result);
+  return attack.then(async result => {
+    const flags = preparePush(actor, data, result, { attackMode: attackMode, kind: "attack", weaponId: weapon.id }, Object.assign({}, options, { threat: threat }));
 
-    // Set the result label
-    if (!critical.success && !critical.failure) {
-      data.roll.labels.result = interpolate(
-        data.roll.success
-          ? "bsh.messages.labels.hit"
-          : "bsh.messages.labels.miss"
-      );
-    } else {
-      if (critical.success) {
-        data.roll.labels.result = interpolate("bsh.messages.labels.criticalHit");
-      } else {
-        data.roll.labels.result = interpolate("bsh.messages.labels.criticalMiss");
-        data.roll.additional = {
-          message: game.i18n.localize("bsh.blurbs.critical_failure"),
-          show: true
-        };
-      }
+    if (!options.pushed && hasWeaponProperty(weapon, "loading")) {
+      await weapon.update({ system: { loaded: false } }, { diff: true });
     }
 
+    data.roll = result;
+
     // If hit, queue up the damage roll section
-    if (data.roll.success) {
+    if (result.success) {
       data.damage = {
         actorId: actor.id,
-        critical: critical.success,
+        critical: result.critical.success,
+        damageType: getWeaponDamageTypes(weapon).join(","),
         doomed: doomed,
-        formula: generateDamageRollFormula(actor, weapon, { critical: critical.success, doomed: doomed }),
+        formula: generateDamageRollFormula(actor, weapon, { critical: result.critical.success, doomed: doomed, mode: attackMode }),
         weapon: weapon.name,
         weaponId: weapon.id
       };
     }
 
-    // Send to chat
-    showMessage(actor, "systems/black-sword-hack/templates/messages/attack-roll.hbs", data);
+    if (options.chat !== false) {
+      showMessage(actor, "systems/black-sword-hack/templates/messages/attack-roll.hbs", data, {
+        flags: flags,
+        rollMode: options.rollMode,
+        rolls: getTestRolls(roll, options.pushed, result)
+      });
+    }
+    return Object.assign(result, { attribute: attribute, damage: (data.damage || null) });
   });
 }
 
-export function logAttributeTest(actor, attribute, shiftKey = false, ctrlKey = false, expanded = false, adjustment = 0) {
+/**
+ * Log an attribute test for an actor. The adjustment is added to the roll as
+ * is the threat. If a threat is not specified it will be calculated from the
+ * opponents currently targeted by the user. Setting the chat option to false
+ * suppresses the chat message and the fumbleTable option names the category
+ * of fumble table to draw from on a critical failure (attribute tests don't
+ * draw from a fumble table by default). Returns a promise that yields the roll
+ * details.
+ */
+export function logAttributeTest(actor, attribute, shiftKey = false, ctrlKey = false, expanded = false, adjustment = 0, threat = null, options = {}) {
   let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-  let critical = { failure: false, success: true };
-  let doomed = (actor.system.doom === "exhausted");
-  let message = {
-    actor: actor.name,
-    actorId: actor.id,
-    roll: {
-      doomed: doomed,
-      expanded: expanded,
-      formula: (doomed ? "2d20kh" : "1d20"),
-      labels: { result: "", title: "" },
-      result: 0,
-      success: false,
-      tested: true
-    }
-  };
   let title = game.i18n.localize(`bsh.fields.titles.dieRolls.attributes.${attribute}`);
 
-  message.roll.labels.title = title;
-
-  if (shiftKey) {
-    message.roll.formula = (doomed ? `1d20` : `2d20kl`);
-  } else if (ctrlKey) {
-    if (!doomed) {
-      message.roll.formula = "2d20kh";
-    }
-  }
-
-  if (adjustment < 0) {
-    message.roll.formula = `${message.roll.formula}${adjustment}`;
-  } else if (adjustment > 0) {
-    message.roll.formula = `${message.roll.formula}+${adjustment}`;
-  }
-
-  rollEm(new Roll(message.roll.formula)).then(roll => {
-    critical.failure = (roll.terms[0].results[0] === 20);
-    critical.success = (roll.terms[0].results[0] === 1);
-    message.roll.result = roll.total;
-    message.roll.success = (critical.success || roll.total < attributes[attribute]);
-    if (message.roll.success) {
-      if (critical.success) {
-        message.roll.labels.result = game.i18n.localize("bsh.fields.titles.criticalSuccess");
-      } else {
-        message.roll.labels.result = game.i18n.localize("bsh.fields.titles.success");
-      }
-    } else {
-      if (critical.failure) {
-        message.roll.labels.result = game.i18n.localize("bsh.fields.titles.criticalFailure");
-        message.roll.additional = {
-          message: game.i18n.localize("bsh.blurbs.critical_failure"),
-          show: true
-        };
-      } else {
-        message.roll.labels.result = game.i18n.localize("bsh.fields.titles.failure");
-      }
-    }
-    showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
+  return logTestRoll(actor, title, TEST_LABELS, {
+    adjustment: adjustment,
+    chat: options.chat,
+    doomed: actor.isDoomed,
+    expanded: expanded,
+    modifiers: getRollModifiers(actor, "attribute", shiftKey, ctrlKey),
+    fumbleTable: options.fumbleTable,
+    push: { attribute: attribute, fumbleTable: (options.fumbleTable || null), kind: "attribute" },
+    pushed: options.pushed,
+    rollMode: options.rollMode,
+    target: attributes[attribute],
+    threat: (threat === null ? calculateThreat(actor) : threat)
   });
 }
 
-export function logCallSpirit(spirit, result) {
+export function logCallSpirit(spirit, result, options = {}) {
   let actor = spirit.actor;
   let message = {
     actor: actor.name,
@@ -213,16 +360,17 @@ export function logCallSpirit(spirit, result) {
         result: game.i18n.localize("bsh.fields.titles.success"),
         title: game.i18n.localize("bsh.messages.titles.callSpirit")
       },
+      modifiers: result.modifiers,
       result: result.result,
       success: true,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/spirit-success.hbs", message);
+  showMessage(actor, "systems/black-sword-hack/templates/messages/spirit-success.hbs", message, { rollMode: options.rollMode, rolls: [result.roll] });
 }
 
-export function logCallSpiritFailure(spirit, result) {
+export function logCallSpiritFailure(spirit, result, options = {}) {
   let actor = spirit.actor;
   let message = {
     actor: actor.name,
@@ -237,13 +385,157 @@ export function logCallSpiritFailure(spirit, result) {
         result: game.i18n.localize("bsh.fields.titles.failure"),
         title: game.i18n.localize("bsh.messages.titles.callSpirit")
       },
+      modifiers: result.modifiers,
       result: result.result,
       success: false,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/spirit-failure.hbs", message);
+  showMessage(actor, "systems/black-sword-hack/templates/messages/spirit-failure.hbs", message, { rollMode: options.rollMode, rolls: [result.roll] });
+}
+
+/**
+ * Returns the damage formula for a creature action. Actions that don't
+ * specify their own damage use the damage die of the creature making them,
+ * if it has one.
+ */
+function getCreatureActionDamage(action) {
+  const damage = action.system.damage.trim();
+  const die = (action.actor ? action.actor.system.damageDie : "");
+
+  return ((damage === "" && die) ? `1${die}` : damage);
+}
+
+/**
+ * Returns the adjustment for a defence against a creature action that tests
+ * an attribute. If the creature has a value for that attribute the defence is
+ * opposed by it, each point above 10 adding one to the roll and each point
+ * below 10 taking one off. Otherwise there is no adjustment.
+ */
+function getCreatureActionAdjustment(action, attribute) {
+  const value = (action.actor ? action.actor.system.attributes?.[attribute] : null);
+
+  return ((value !== null && value !== undefined) ? value - 10 : 0);
+}
+
+/**
+ * Log a creature action made against a set of target actors. The chat card
+ * produced gives each target a button for each of the attributes the action
+ * tests, allowing them to defend against it (strength tests are parries and
+ * dexterity tests are dodges). Actions that test no attributes may be either
+ * parried or dodged. Where the creature has a value for a tested attribute it
+ * is shown alongside the defence button.
+ */
+export function logCreatureAction(action, targets) {
+  const tested = Object.keys(action.system.attributes).filter(key => action.system.attributes[key]);
+  const data = {
+    action: action.name,
+    actionUuid: action.uuid,
+    creature: action.actor.name,
+    damage: getCreatureActionDamage(action),
+    defences: (tested.length > 0 ? tested : ["strength", "dexterity"]).map(attribute => {
+      let label;
+
+      if (attribute === "strength") {
+        label = game.i18n.localize("bsh.messages.labels.buttons.parry");
+      } else if (attribute === "dexterity") {
+        label = game.i18n.localize("bsh.messages.labels.buttons.dodge");
+      } else {
+        label = interpolate("bsh.messages.labels.buttons.testAttribute", {
+          attribute: game.i18n.localize(`bsh.attributes.${attribute}.short`)
+        });
+      }
+      return { attribute: attribute, label: label, opposed: action.actor.system.attributes?.[attribute] ?? null };
+    }),
+    targets: targets.map(target => ({ name: target.name, uuid: target.uuid }))
+  };
+
+  return showMessage(action.actor, "systems/black-sword-hack/templates/messages/creature-action.hbs", data);
+}
+
+/**
+ * Handler for the defend buttons on a creature action chat card. Makes the
+ * appropriate defence roll for the defending actor, opposed by the creatures
+ * value for the attribute if it has one, and, if that fails, rolls damage for
+ * the creature action. A critical failure on the defence means that armour
+ * offers no protection from the damage.
+ */
+export async function logCreatureActionDefence(event) {
+  const element = event.currentTarget;
+
+  event.preventDefault();
+  if (element.dataset.actor && element.dataset.action && element.dataset.attribute) {
+    const actor = await fromUuid(element.dataset.actor);
+    const action = await fromUuid(element.dataset.action);
+
+    if (actor && action) {
+      if (actor.isOwner) {
+        const settings = await getDefenceRollSettings(event, actor, element.dataset.attribute, calculateThreat(actor, [action.actor]), getCreatureActionAdjustment(action, element.dataset.attribute));
+        let result;
+
+        if (!settings) {
+          return false;
+        }
+
+        const shiftKey = (settings.rollType === "advantage");
+        const ctrlKey = (settings.rollType === "disadvantage");
+
+        if (element.dataset.attribute === "strength") {
+          result = await logParryRoll(actor, shiftKey, ctrlKey, settings.threat, settings);
+        } else if (element.dataset.attribute === "dexterity") {
+          result = await logDodgeRoll(actor, shiftKey, ctrlKey, settings.threat, settings);
+        } else {
+          result = await logAttributeTest(actor, element.dataset.attribute, shiftKey, ctrlKey, false, settings.adjustment, settings.threat, Object.assign({ fumbleTable: "defence" }, settings));
+        }
+
+        if (!result.success && getCreatureActionDamage(action) !== "") {
+          await logCreatureDamageRoll(action, actor, { ignoreArmour: result.critical.failure });
+        }
+      } else {
+        ui.notifications.warn(interpolate("bsh.errors.creatures.notDefender", { name: actor.name }));
+      }
+    } else {
+      console.error(`Unable to locate the actor '${element.dataset.actor}' and/or the creature action '${element.dataset.action}'.`);
+      ui.notifications.error(game.i18n.localize("bsh.errors.actors.notFound"));
+    }
+  } else {
+    console.error("Creature action defence requested but requesting element is missing an actor, action and/or attribute data attribute.");
+  }
+
+  return false;
+}
+
+/**
+ * Rolls the damage for a creature action that has hit a target and logs it
+ * to chat, using the creatures damage die if the action doesn't specify its
+ * own damage. Recognised options include ignoreArmour (true/false).
+ */
+export function logCreatureDamageRoll(action, target, options = {}) {
+  const formula = getCreatureActionDamage(action);
+  const data = {
+    damageType: action.system.damageType,
+    ignoreArmour: !!options.ignoreArmour,
+    roll: {
+      expanded: true,
+      formula: formula,
+      labels: { title: interpolate("bsh.messages.titles.damageRoll") },
+      tested: false
+    },
+    target: target.name,
+    targetUuid: target.uuid
+  };
+
+  if (!BSHRoll.validate(formula)) {
+    console.error(`Unable to roll damage for creature action '${action.name}' as '${formula}' is not a valid formula.`);
+    ui.notifications.error(interpolate("bsh.errors.creatures.invalidDamage", { name: action.name }));
+    return Promise.resolve(null);
+  }
+
+  return rollEm(new BSHRoll(formula)).then(roll => {
+    data.roll.result = roll.total;
+    return showMessage(action.actor, "systems/black-sword-hack/templates/messages/damage-roll.hbs", data, { rolls: [roll] });
+  });
 }
 
 export function logDamageRoll(event) {
@@ -253,6 +545,8 @@ export function logDamageRoll(event) {
   if (rollData.formula && rollData.actor) {
     let actor = game.actors.find(a => a.id === rollData.actor);
     let data = {
+      critical: (rollData.critical === "true"),
+      damageType: (rollData.damageType || null),
       doomed: (rollData.doomed === "true"),
       roll: {
         expanded: true,
@@ -263,9 +557,9 @@ export function logDamageRoll(event) {
     let formula = rollData.formula;
 
     data.roll.formula = formula;
-    rollEm(new Roll(formula)).then(roll => {
+    rollEm(new BSHRoll(formula)).then(roll => {
       data.roll.result = roll.total;
-      showMessage(actor, "systems/black-sword-hack/templates/messages/damage-roll.hbs", data);
+      showMessage(actor, "systems/black-sword-hack/templates/messages/damage-roll.hbs", data, { rolls: [roll] });
     });
   } else {
     console.error("Damage roll requested but requesting element did not have a damage formula attribute.");
@@ -274,17 +568,24 @@ export function logDamageRoll(event) {
   return false;
 }
 
-export function logDefendRoll(event) {
+export async function logDefendRoll(event) {
   let element = event.currentTarget;
 
   if (element.dataset.attribute && element.dataset.actor) {
     let actor = game.actors.find(a => a.id === element.dataset.actor);
 
     if (actor) {
-      if (element.dataset.attribute === "strength") {
-        logParryRoll(actor, event.shiftKey, event.ctrlKey);
-      } else {
-        logDodgeRoll(actor, event.shiftKey, event.ctrlKey);
+      let settings = await getDefenceRollSettings(event, actor, element.dataset.attribute, calculateThreat(actor));
+
+      if (settings) {
+        let shiftKey = (settings.rollType === "advantage");
+        let ctrlKey = (settings.rollType === "disadvantage");
+
+        if (element.dataset.attribute === "strength") {
+          logParryRoll(actor, shiftKey, ctrlKey, settings.threat, settings);
+        } else {
+          logDodgeRoll(actor, shiftKey, ctrlKey, settings.threat, settings);
+        }
       }
     } else {
       console.error(`Unable to find an actor with the id of '${element.dataset.id}'.`);
@@ -294,7 +595,7 @@ export function logDefendRoll(event) {
   }
 }
 
-export function logDemonSummoning(demon, result) {
+export function logDemonSummoning(demon, result, options = {}) {
   let actor = demon.actor;
   let message = {
     actor: actor.name,
@@ -308,16 +609,17 @@ export function logDemonSummoning(demon, result) {
         result: game.i18n.localize("bsh.fields.titles.success"),
         title: game.i18n.localize("bsh.messages.titles.summonDemon")
       },
+      modifiers: result.modifiers,
       result: result.result,
       success: true,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/demon-success.hbs", message);
+  showMessage(actor, "systems/black-sword-hack/templates/messages/demon-success.hbs", message, { rollMode: options.rollMode, rolls: [result.roll] });
 }
 
-export function logDemonSummoningFailure(demon, result) {
+export function logDemonSummoningFailure(demon, result, options = {}) {
   let actor = demon.actor;
   let message = {
     actor: actor.name,
@@ -332,101 +634,71 @@ export function logDemonSummoningFailure(demon, result) {
         result: game.i18n.localize("bsh.fields.titles.failure"),
         title: game.i18n.localize("bsh.messages.titles.summonDemon")
       },
+      modifiers: result.modifiers,
       result: result.result,
       success: false,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/demon-failure.hbs", message);
+  return addFumbleTableResult(message.roll, "summoning", message.fumble).then(roll => {
+    showMessage(actor, "systems/black-sword-hack/templates/messages/demon-failure.hbs", message, { rollMode: options.rollMode, rolls: getTestRolls(result.roll, null, roll) });
+  });
 }
 
-export function logDieRoll(actor, dieType, title, shiftKey = false, ctrlKey = false) {
-  let doomed = (actor.system.doom === "exhausted");
-  let formula = (doomed ? `2${dieType}kl` : `1${dieType}`);
+export function logDieRoll(actor, dieType, title, shiftKey = false, ctrlKey = false, options = {}) {
+  let doomed = actor.isDoomed;
+  let roll = BSHRoll.die(dieType, { doomed: doomed, modifiers: new RollModifiers().addKeys(shiftKey, ctrlKey) });
   let message = {
     actor: actor.name,
     actorId: actor.id,
     doomed: doomed,
     roll: {
       expanded: true,
-      formula: formula,
+      formula: roll.formula,
       labels: { title: title },
+      modifiers: roll.options.modifiers,
       result: 0,
       tested: false
     }
   };
 
-  if (shiftKey) {
-    formula = (doomed ? `1${dieType}` : `2${dieType}kh`);
-  } else if (ctrlKey) {
-    if (!doomed) {
-      formula = `2${dieType}kl`;
-    }
-  }
-  rollEm(new Roll(formula)).then(roll => {
+  return rollEm(roll).then(roll => {
     message.roll.result = roll.total;
-    showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
+    showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message, { rollMode: options.rollMode, rolls: [roll] });
+    return message.roll;
   });
 }
 
-export function logDodgeRoll(actor, shiftKey = false, ctrlKey = false) {
+/**
+ * Log a dodge roll for an actor. If a threat is not specified it will be
+ * calculated from the opponents currently targeted by the user. Recognised
+ * options are adjustment (added to the roll) and chat (set to false to
+ * suppress the chat message). Returns a promise that yields the roll details.
+ */
+export function logDodgeRoll(actor, shiftKey = false, ctrlKey = false, threat = null, options = {}) {
   let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-  let critical = { failure: false, success: false };
-  let doomed = (actor.system.doom === "exhausted");
-  let title = interpolate("bsh.messages.titles.dodgeRoll");
-  let message = {
-    actor: actor.name,
-    actorId: actor.id,
-    doomed: doomed,
-    roll: {
-      expanded: false,
-      formula: "",
-      labels: { title: title },
-      result: 0,
-      tested: true
-    }
-  };
-  let shield = (actor.system.armour.shield === "yes");
-
-  if (!doomed) {
-    if (shiftKey) {
-      message.roll.formula = "2d20kl";
-    } else if (ctrlKey) {
-      message.roll.formula = "2d20kh";
-    } else {
-      message.roll.formula = "1d20";
-    }
-  } else {
-    message.roll.formula = (shiftKey || shield ? "1d20" : "2d20kh");
-  }
-  rollEm(new Roll(message.roll.formula)).then(roll => {
-    critical.failure = (roll.total === 20);
-    critical.success = (roll.total === 1);
-    message.roll.result = roll.total;
-    message.roll.success = (critical.success || roll.total < attributes["dexterity"]);
-
-    if (!critical.success && !critical.failure) {
-      message.roll.labels.result = interpolate(
-        message.roll.success ? "bsh.messages.labels.success" : "bsh.messages.labels.failure"
-      );
-    } else {
-      if (critical.success) {
-        message.roll.labels.result = interpolate("bsh.messages.labels.criticalSuccess");
-      } else {
-        message.roll.labels.result = interpolate("bsh.messages.labels.criticalFailure");
-        message.roll.additional = {
-          message: game.i18n.localize("bsh.blurbs.defend_fumble"),
-          show: true
-        };
-      }
-    }
 
-    showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
+  return logTestRoll(actor, interpolate("bsh.messages.titles.dodgeRoll"), DEFENCE_LABELS, {
+    adjustment: options.adjustment,
+    chat: options.chat,
+    doomed: actor.isDoomed,
+    modifiers: getRollModifiers(actor, "defence", shiftKey, ctrlKey),
+    fumbleTable: "defence",
+    push: { kind: "dodge" },
+    pushed: options.pushed,
+    rollMode: options.rollMode,
+    target: attributes.dexterity,
+    threat: (threat === null ? calculateThreat(actor) : threat)
   });
 }
 
-export function logDoomDieRoll(actor, shiftKey = false, ctrlKey = false) {
+/**
+ * Log a doom die roll for an actor. Setting the chat option to false
+ * suppresses the chat message. Returns a promise that yields the roll details
+ * or null if the actors doom die is exhausted.
+ */
+export function logDoomDieRoll(actor, shiftKey = false, ctrlKey = false, options = {}) {
   if (actor.system.doom !== "exhausted") {
     let message = {
       actor: actor.name,
@@ -442,16 +714,10 @@ export function logDoomDieRoll(actor, shiftKey = false, ctrlKey = false) {
         tested: true
       }
     };
-    let rollType = "standard";
-    let result = null;
 
-    if (shiftKey) {
-      rollType = "advantage";
-    } else if (ctrlKey) {
-      rollType = "disadvantage";
-    }
-    rollDoom(actor, rollType).then(result => {
+    return rollDoom(actor, "standard", new RollModifiers().addKeys(shiftKey, ctrlKey)).then(result => {
       message.roll.formula = result.formula;
+      message.roll.modifiers = result.modifiers;
       message.roll.result = result.result;
       message.roll.success = !result.downgraded;
       if (!message.roll.success) {
@@ -461,79 +727,89 @@ export function logDoomDieRoll(actor, shiftKey = false, ctrlKey = false) {
         message.roll.labels.result = interpolate("bsh.fields.titles.success");
       }
 
-      showMessage(actor, "systems/black-sword-hack/templates/messages/doom-roll.hbs", message);
+      if (options.chat !== false) {
+        showMessage(actor, "systems/black-sword-hack/templates/messages/doom-roll.hbs", message, { rollMode: options.rollMode, rolls: [result.roll] });
+      }
+      return Object.assign(message.roll, { die: result.die, doomed: (result.die.ending === "exhausted") });
     });
   } else {
     console.error(`Unable to make a doom roll for '${actor.name}' as their doom die is exhausted.`);
     ui.notifications.error(
       interpolate("bsh.messages.doom.exhausted", { name: actor.name })
     );
+    return Promise.resolve(null);
   }
 }
 
-export function logInitiativeRoll(event) {
+/**
+ * Handler for initiative roll requests. Displays the roll dialog (depending on
+ * the roll dialog setting) and then makes a Wisdom test for the actor.
+ * Returns a promise that yields the roll details or null if the roll was
+ * cancelled.
+ */
+export async function logInitiativeRoll(event) {
   let element = event.currentTarget;
 
   if (element.dataset.actor) {
     let actor = game.actors.find(a => a.id === element.dataset.actor);
-    let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-    let critical = { failure: false, success: false };
-    let doomed = (actor.system.doom === "exhausted");
-    let title = interpolate("bsh.messages.titles.initiativeRoll");
-    let message = {
-      actor: actor.name,
-      actorId: actor.id,
-      doomed: doomed,
-      roll: {
-        expanded: false,
-        formula: "",
-        labels: { title: title },
-        result: 0,
-        tested: true
-      }
-    };
+    let settings = await getRollSettings(event, {
+      label: game.i18n.localize("bsh.attributes.wisdom.long"),
+      score: calculateAttributeValues(actor.system, BSHConfiguration).wisdom,
+      test: true,
+      threat: calculateThreat(actor),
+      title: interpolate("bsh.messages.titles.initiativeRoll")
+    });
 
-    if (!doomed) {
-      if (event.shiftKey) {
-        message.roll.formula = "2d20kl";
-      } else if (event.ctrlKey) {
-        message.roll.formula = "2d20kh";
-      } else {
-        message.roll.formula = "1d20";
-      }
-    } else {
-      message.roll.formula = (event.shiftKey ? "1d20" : "2d20kh");
+    if (!settings) {
+      return null;
     }
-    rollEm(new Roll(message.roll.formula)).then(roll => {
-      critical.failure = (roll.total === 20);
-      critical.success = (roll.total === 1);
-      message.roll.result = roll.total;
-      message.roll.success = (critical.success || roll.total < attributes["wisdom"]);
-
-      if (!critical.success && !critical.failure) {
-        message.roll.labels.result = interpolate(
-          message.roll.success ? "bsh.messages.labels.success" : "bsh.messages.labels.failure"
-        );
-      } else {
-        if (critical.success) {
-          message.roll.labels.result = interpolate("bsh.messages.labels.criticalSuccess");
-        } else {
-          message.roll.labels.result = interpolate("bsh.messages.labels.criticalFailure");
-          message.roll.additional = {
-            message: game.i18n.localize("bsh.blurbs.critical_failure"),
-            show: true
-          };
-        }
-      }
-
-      showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
-    });
+    return logInitiativeTest(actor, settings.rollType === "advantage", settings.rollType === "disadvantage", settings);
   } else {
     console.error("Initiative roll requested but requesting element is missing an actor id data attribute.");
   }
 }
 
-export function logItemUsageDieRoll(item, field, shiftKey = false, ctrlKey = false) {
+/**
+ * Log an initiative roll (a Wisdom test) for an actor. If a threat is not
+ * specified it will be calculated from the opponents currently targeted by
+ * the user. Recognised options are adjustment, threat, rollMode, pushed,
+ * target (the score tested, needed for actors without attributes), combatant
+ * (the combatant the test is for, so that pushing the test updates the
+ * combat) and chat. Returns a promise that yields the roll details.
+ */
+export function logInitiativeTest(actor, shiftKey = false, ctrlKey = false, options = {}) {
+  let target = options.target;
+
+  if (target === undefined || target === null) {
+    target = calculateAttributeValues(actor.system, BSHConfiguration).wisdom;
+  }
+
+  return logTestRoll(actor, interpolate("bsh.messages.titles.initiativeRoll"), DEFENCE_LABELS, {
+    adjustment: options.adjustment,
+    chat: options.chat,
+    doomed: actor.isDoomed,
+    fumble: "bsh.blurbs.critical_failure",
+    modifiers: getRollModifiers(actor, "initiative", shiftKey, ctrlKey),
+    push: {
+      combatId: (options.combatant ? options.combatant.parent.id : undefined),
+      combatantId: (options.combatant ? options.combatant.id : undefined),
+      kind: "initiative",
+      target: options.target
+    },
+    pushed: options.pushed,
+    rollMode: options.rollMode,
+    target: target,
+    threat: (options.threat === undefined || options.threat === null ? calculateThreat(actor) : options.threat)
+  });
+}
+
+/**
+ * Log a usage die roll for an item, downgrading the usage die on a roll of 1
+ * or 2 and reducing the item quantity by one if that exhausts it. Setting the
+ * chat option to false suppresses the chat message. Returns a promise that
+ * yields the roll details or null if the usage die could not be rolled.
+ */
+export function logItemUsageDieRoll(item, field, shiftKey = false, ctrlKey = false, options = {}) {
   let usageDie = getObjectField(`${field}.current`, item.system);
 
   if (!usageDie || usageDie === "^") {
@@ -542,39 +818,38 @@ export function logItemUsageDieRoll(item, field, shiftKey = false, ctrlKey = fal
 
   if (usageDie) {
     if (usageDie !== "exhausted") {
+      let roll = BSHRoll.die(usageDie, { modifiers: new RollModifiers().addKeys(shiftKey, ctrlKey), usage: true });
       let message = {
         downgraded: false,
         item: item.name,
         itemId: item.id,
         roll: {
           expanded: false,
-          formula: `1${usageDie}`,
+          formula: roll.formula,
           labels: {
             result: "",
             title: interpolate("bsh.messages.titles.usageDieRoll")
           },
+          modifiers: roll.options.modifiers,
           result: 0,
           tested: true
         }
       };
 
-      if (shiftKey) {
-        message.roll.formula = `2${usageDie}kh`;
-      } else if (ctrlKey) {
-        message.roll.formula = `2${usageDie}kl`;
-      }
-      rollEm(new Roll(message.roll.formula)).then(roll => {
+      return rollEm(roll).then(async roll => {
+        let newDie = usageDie;
+
         message.roll.result = roll.total;
-        if (roll.total < 3) {
-          let newDie = downgradeDie(usageDie);
-          let data = setObjectField(`${field}.current`, newDie);
+        message.roll.success = roll.isSuccess;
+        if (!roll.isSuccess) {
+          let data;
 
+          newDie = downgradeDie(usageDie);
+          data = setObjectField(`${field}.current`, newDie);
           message.downgraded = true;
-          message.roll.success = false;
           message.roll.labels.result = interpolate("bsh.fields.titles.failure");
-          item.update({ system: data }, { diff: true });
           if (newDie === "exhausted") {
-            decrementItemQuantity(item.id);
+            data.quantity = Math.max((parseInt(item.system.quantity) || 0) - 1, 0);
             message.feedback = game.i18n.localize("bsh.messages.usageDie.exhausted");
           } else {
             message.feedback = interpolate(
@@ -582,142 +857,133 @@ export function logItemUsageDieRoll(item, field, shiftKey = false, ctrlKey = fal
               { die: newDie }
             );
           }
+          await item.update({ system: data }, { diff: true });
         } else {
-          message.roll.success = true;
           message.roll.labels.result = interpolate("bsh.fields.titles.success");
         }
 
-        showMessage(item.actor, "systems/black-sword-hack/templates/messages/usage-die-roll.hbs", message);
+        if (options.chat !== false) {
+          showMessage(item.actor, "systems/black-sword-hack/templates/messages/usage-die-roll.hbs", message, { rollMode: options.rollMode, rolls: [roll] });
+        }
+        return Object.assign(message.roll, { die: { ending: newDie, starting: usageDie }, downgraded: message.downgraded });
       });
     } else {
       console.warn(`Unable to roll usage die for item id ${item.id} as the particular usage die request is exhausted.`);
       ui.notifications.error(game.i18n.localize("bsh.errors.usageDie.exhausted"));
     }
+    return Promise.resolve(null);
   } else {
     console.error(`Unable to locate the ${field} usage die setting for item id ${item.id} (${item.name}).`);
     ui.notifications.error(game.i18n.localize("bsh.errors.usageDie.notFound"));
+    return Promise.resolve(null);
   }
 }
 
-export function logParryRoll(actor, shiftKey = false, ctrlKey = false) {
-  let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-  let critical = { failure: false, success: false };
-  let doomed = (actor.system.doom === "exhausted");
-  let title = interpolate("bsh.messages.titles.parryRoll");
-  let message = {
-    actor: actor.name,
-    actorId: actor.id,
-    doomed: doomed,
-    roll: {
-      expanded: false,
-      formula: "",
-      labels: { title: title },
-      result: 0,
-      tested: true
-    }
-  };
-  let shield = (actor.system.armour.shield === "yes");
+/**
+ * Log a morale check for a creature, which is a test against its morale
+ * score. Recognised options are reason (the localization key for why the check
+ * was made), consequence (the localization key describing what happens to the
+ * creature if the check fails), rollMode and chat (set to false to suppress
+ * the chat message). Returns a promise that yields the roll details.
+ */
+export function logMoraleCheck(actor, options = {}) {
+  const roll = BSHRoll.test({ target: actor.system.morale });
 
-  if (!doomed) {
-    if (ctrlKey && !shield) {
-      message.roll.formula = "2d20kh";
-    } else if ((shiftKey || shield) && !ctrlKey) {
-      message.roll.formula = "2d20kl";
-    } else {
-      message.roll.formula = "1d20";
-    }
-  } else {
-    message.roll.formula = (shiftKey || shield ? "1d20" : "2d20kh");
-  }
-  rollEm(new Roll(message.roll.formula)).then(roll => {
-    critical.failure = (roll.total === 20);
-    critical.success = (roll.total === 1);
-    message.roll.result = roll.total;
-    message.roll.success = (critical.success || roll.total < attributes["strength"]);
+  return rollTest(roll, interpolate("bsh.messages.titles.moraleCheck"), MORALE_LABELS).then(result => {
+    const message = {
+      actor: actor.name,
+      consequence: (!result.success && options.consequence ? interpolate(options.consequence, { name: actor.name }) : null),
+      reason: (options.reason ? game.i18n.localize(options.reason) : null),
+      roll: result
+    };
 
-    if (!critical.success && !critical.failure) {
-      message.roll.labels.result = interpolate(
-        message.roll.success ? "bsh.messages.labels.success" : "bsh.messages.labels.failure"
-      );
-    } else {
-      if (critical.success) {
-        message.roll.labels.result = interpolate("bsh.messages.labels.criticalSuccess");
-      } else {
-        message.roll.labels.result = interpolate("bsh.messages.labels.criticalFailure");
-        message.roll.additional = {
-          message: game.i18n.localize("bsh.blurbs.defend_fumble"),
-          show: true
-        };
-      }
+    if (options.chat !== false) {
+      showMessage(actor, "systems/black-sword-hack/templates/messages/morale-check.hbs", message, { rollMode: options.rollMode, rolls: [roll] });
     }
+    return result;
+  });
+}
 
-    showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
+/**
+ * Log a parry roll for an actor. A shield grants advantage on parries. If a
+ * threat is not specified it will be calculated from the opponents currently
+ * targeted by the user. Recognised options are adjustment (added to the roll)
+ * and chat (set to false to suppress the chat message). Returns a promise that
+ * yields the roll details.
+ */
+export function logParryRoll(actor, shiftKey = false, ctrlKey = false, threat = null, options = {}) {
+  let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
+  let modifiers = getRollModifiers(actor, "defence", shiftKey, ctrlKey);
+
+  if (actor.system.armour.shield === "yes") {
+    modifiers.add("shield", "advantage");
+  }
+  return logTestRoll(actor, interpolate("bsh.messages.titles.parryRoll"), DEFENCE_LABELS, {
+    adjustment: options.adjustment,
+    chat: options.chat,
+    doomed: actor.isDoomed,
+    modifiers: modifiers,
+    fumbleTable: "defence",
+    push: { kind: "parry" },
+    pushed: options.pushed,
+    rollMode: options.rollMode,
+    target: attributes.strength,
+    threat: (threat === null ? calculateThreat(actor) : threat)
   });
 }
 
-export function logPerceptionRoll(event) {
+/**
+ * Handler for perception roll requests. Displays the roll dialog (depending on
+ * the roll dialog setting) and then makes an Intelligence test for the actor.
+ * Returns a promise that yields the roll details or null if the roll was
+ * cancelled.
+ */
+export async function logPerceptionRoll(event) {
   let element = event.currentTarget;
 
   if (element.dataset.actor) {
     let actor = game.actors.find(a => a.id === element.dataset.actor);
-    let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
-    let critical = { failure: false, success: false };
-    let doomed = (actor.system.doom === "exhausted");
-    let title = interpolate("bsh.messages.titles.perceptionRoll");
-    let message = {
-      actor: actor.name,
-      actorId: actor.id,
-      doomed: doomed,
-      roll: {
-        expanded: false,
-        formula: "",
-        labels: { title: title },
-        result: 0,
-        tested: true
-      }
-    };
+    let settings = await getRollSettings(event, {
+      label: game.i18n.localize("bsh.attributes.intelligence.long"),
+      score: calculateAttributeValues(actor.system, BSHConfiguration).intelligence,
+      test: true,
+      threat: calculateThreat(actor),
+      title: interpolate("bsh.messages.titles.perceptionRoll")
+    });
 
-    if (!doomed) {
-      if (event.shiftKey) {
-        message.roll.formula = "2d20kl";
-      } else if (event.ctrlKey) {
-        message.roll.formula = "2d20kh";
-      } else {
-        message.roll.formula = "1d20";
-      }
-    } else {
-      message.roll.formula = (event.shiftKey ? "1d20" : "2d20kh");
+    if (!settings) {
+      return null;
     }
-    rollEm(new Roll(message.roll.formula)).then(roll => {
-      critical.failure = (roll.total === 20);
-      critical.success = (roll.total === 1);
-      message.roll.result = roll.total;
-      message.roll.success = (critical.success || roll.total < attributes["intelligence"]);
-
-      if (!critical.success && !critical.failure) {
-        message.roll.labels.result = interpolate(
-          message.roll.success ? "bsh.messages.labels.success" : "bsh.messages.labels.failure"
-        );
-      } else {
-        if (critical.success) {
-          message.roll.labels.result = interpolate("bsh.messages.labels.criticalSuccess");
-        } else {
-          message.roll.labels.result = interpolate("bsh.messages.labels.criticalFailure");
-          message.roll.additional = {
-            message: game.i18n.localize("bsh.blurbs.critical_failure"),
-            show: true
-          };
-        }
-      }
-
-      showMessage(actor, "systems/black-sword-hack/templates/messages/die-roll.hbs", message);
-    });
+    return logPerceptionTest(actor, settings.rollType === "advantage", settings.rollType === "disadvantage", settings);
   } else {
     console.error("Perception roll requested but requesting element is missing an actor id data attribute.");
   }
 }
 
-export function logSpellCast(spell, result) {
+/**
+ * Log a perception roll (an Intelligence test) for an actor. If a threat is not
+ * specified it will be calculated from the opponents currently targeted by
+ * the user. Recognised options are adjustment, threat, rollMode, pushed and
+ * chat. Returns a promise that yields the roll details.
+ */
+export function logPerceptionTest(actor, shiftKey = false, ctrlKey = false, options = {}) {
+  let attributes = calculateAttributeValues(actor.system, BSHConfiguration);
+
+  return logTestRoll(actor, interpolate("bsh.messages.titles.perceptionRoll"), DEFENCE_LABELS, {
+    adjustment: options.adjustment,
+    chat: options.chat,
+    doomed: actor.isDoomed,
+    fumble: "bsh.blurbs.critical_failure",
+    modifiers: getRollModifiers(actor, "perception", shiftKey, ctrlKey),
+    push: { kind: "perception" },
+    pushed: options.pushed,
+    rollMode: options.rollMode,
+    target: attributes.intelligence,
+    threat: (options.threat === undefined || options.threat === null ? calculateThreat(actor) : options.threat)
+  });
+}
+
+export function logSpellCast(spell, result, options = {}) {
   let actor = spell.actor;
   let message = {
     actor: actor.name,
@@ -731,23 +997,24 @@ export function logSpellCast(spell, result) {
         result: game.i18n.localize("bsh.fields.titles.success"),
         title: game.i18n.localize("bsh.messages.titles.castSpell")
       },
-      result: result.result,
+      modifiers: result.options.modifiers,
+      result: result.total,
       success: true,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/spell-success.hbs", message);
+  showMessage(actor, "systems/black-sword-hack/templates/messages/spell-success.hbs", message, { rollMode: options.rollMode, rolls: [result] });
 }
 
-export function logSpellCastFailure(spell, result) {
+export function logSpellCastFailure(spell, result, options = {}) {
   let actor = spell.actor;
   let message = {
     actor: actor.name,
     actorId: actor.id,
     spell: spell.name,
     doomed: result.doomed,
-    fumble: (result.total === 20),
+    fumble: result.isCriticalFailure,
     roll: {
       expanded: false,
       formula: result.formula,
@@ -755,23 +1022,50 @@ export function logSpellCastFailure(spell, result) {
         result: game.i18n.localize("bsh.fields.titles.failure"),
         title: game.i18n.localize("bsh.messages.titles.castSpell")
       },
-      result: result.result,
+      modifiers: result.options.modifiers,
+      result: result.total,
       success: false,
       tested: true
     }
   };
 
-  showMessage(actor, "systems/black-sword-hack/templates/messages/spell-failure.hbs", message);
+  return addFumbleTableResult(message.roll, "spell", message.fumble).then(roll => {
+    showMessage(actor, "systems/black-sword-hack/templates/messages/spell-failure.hbs", message, { rollMode: options.rollMode, rolls: getTestRolls(result, null, roll) });
+  });
 }
 
-export function showMessage(actor, templateKey, data) {
-  getTemplate(templateKey).then(template => {
+/**
+ * Renders a chat message template and posts the result to chat. The options
+ * are added to the chat message data, except for rollMode which controls the
+ * visibility of the message and defaults to the roll mode currently selected
+ * in the chat log. Any Roll objects the card is based on should be passed in
+ * the rolls option so that they are attached to the message, which makes it a
+ * roll message that dice modules animate. The dice tooltip for the first roll
+ * is made available to the roll template.
+ */
+export function showMessage(actor, templateKey, data, options = {}) {
+  const settings = Object.assign({}, options);
+  const rollMode = (settings.rollMode || game.settings.get("core", "rollMode"));
+  const rolls = (settings.rolls || []);
+  const tooltip = (rolls.length > 0 && data.roll ? rolls[0].getTooltip() : Promise.resolve(null));
+
+  delete settings.rollMode;
+  return Promise.all([getTemplate(templateKey), tooltip]).then(([template, tooltip]) => {
     let message = {
       speaker: ChatMessage.getSpeaker(actor = actor),
       user: game.user
     };
+
+    if (tooltip) {
+      data = Object.assign({}, data, { roll: Object.assign({}, data.roll, { tooltip: tooltip }) });
+    }
+    if (rolls.length > 0) {
+      message.sound = CONFIG.sounds.dice;
+    }
     message.content = template(data);
-    ChatMessage.create(message);
+    Object.assign(message, settings);
+    ChatMessage.applyRollMode(message, rollMode);
+    return ChatMessage.create(message);
   });
 }
 
@@ -1,31 +1,191 @@
 // ── modules/combat.js ──
 
-import { calculateAttributeValues } from "./shared.js";
+import { logInitiativeTest } from "./chat_messages.js";
 import { BSHConfiguration } from "./configuration.js";
+import { calculateThreat } from "./threat.js";
 
 /**
  * A custom Combat subclass that rolls initiative according to Black Sword Hack rules:
  *
- *  • Each PC rolls 1d20 “under” their WIS (roll < WIS → success; 1 → critical success; 20 → critical failure).
- *  • All PCs who succeed occupy bucket 3 (“fast PCs”).
- *  • All monsters/NPCs occupy bucket 2 (“middle”).
- *  • All PCs who fail occupy bucket 1 (“slow PCs”).
+ *  • Each PC makes a WIS test for initiative, which is posted to chat like any other test.
+ *  • All PCs who succeed act in the “fast” phase (bucket 3).
+ *  • All monsters/NPCs act in the “monsters” phase (bucket 2).
+ *  • All PCs who fail act in the “slow” phase (bucket 1).
  *  • Initiative value = (bucket × 1000) − (raw d20 for PCs, or 0 for monsters),
  *    so fast PCs sort into 2999…2981, monsters into 2000, slow PCs into 999…981.
+ *  • The phase is recorded in `flags.bsh.phase`.
  *  • A critical success (raw 1) sets `flags.bsh.critInit = "critSuccess"`.
  *  • A critical failure (raw 20) sets `flags.bsh.critInit = "critFailure"`.
+ *
+ * A creature's initiative mode can change this. Creatures that always act
+ * first get bucket 4 (the “first” phase), those that always act last get
+ * bucket 0 (the “last” phase) and those that roll test their WIS (or their
+ * initiative score if they have no WIS) just like a PC. Combatants with the
+ * same initiative are ordered according to the “initiativeTies” setting.
+ *
+ * If the “rerollInitiative” setting is on, PCs test for initiative again at the
+ * start of every round. The “bshStartTurn” and “bshEndTurn” hooks are called
+ * (with the combat and combatant) as each combatant's turn starts and ends, and
+ * temporary effects on a combatant's actor that have run their course are
+ * removed at the end of its turn.
  */
 export default class BSHCombat extends Combat {
   /** @override */
   async rollInitiative(ids, { prompt = false } = {}) {
     // Ignore Foundry’s built-in prompt; do our own WIS-based rolls.
-    return this._rollCombatantInitiatives(ids);
+    return this._rollCombatantInitiatives(typeof ids === "string" ? [ids] : ids);
+  }
+
+  /** @override */
+  async nextRound() {
+    if (game.settings.get("black-sword-hack", "rerollInitiative")) {
+      const ids = this.combatants.filter(c => c.actor && rollsForInitiative(c.actor)).map(c => c.id);
+      await this._rollCombatantInitiatives(ids);
+    }
+    return super.nextRound();
+  }
+
+  /**
+   * Advance to the first combatant of the next initiative phase, skipping the
+   * rest of the current phase. Moves on to the next round if the current
+   * phase is the last one.
+   */
+  async nextPhase() {
+    const phase = (this.combatant ? getInitiativePhase(this.combatant) : null);
+    const skip = this.settings.skipDefeated;
+    const turn = this.turns.findIndex((c, index) => {
+      return index > this.turn && getInitiativePhase(c) !== phase && !(skip && c.isDefeated);
+    });
+
+    if (turn < 0) {
+      return this.nextRound();
+    }
+
+    const updateData = { round: this.round, turn: turn };
+    const updateOptions = { direction: 1 };
+    Hooks.callAll("combatTurn", this, updateData, updateOptions);
+    return this.update(updateData, updateOptions);
+  }
+
+  /**
+   * Orders combatants by descending initiative, breaking ties according to
+   * the “initiativeTies” setting and then by name and id so that the order
+   * is stable. Core passes this around unbound, so it can't use `this`.
+   * @override
+   */
+  _sortCombatants(a, b) {
+    const ia = Number.isNumeric(a.initiative) ? a.initiative : -Infinity;
+    const ib = Number.isNumeric(b.initiative) ? b.initiative : -Infinity;
+    const tieBreak = game.settings.get("black-sword-hack", "initiativeTies");
+
+    if (ia !== ib) {
+      return ib - ia;
+    }
+
+    if (tieBreak !== "name") {
+      const ca = (a.actor?.type === "character");
+      const cb = (b.actor?.type === "character");
+
+      if (ca !== cb) {
+        return ((ca === (tieBreak === "charactersFirst")) ? -1 : 1);
+      }
+    }
+    return (a.name || "").localeCompare(b.name || "") || (a.id > b.id ? 1 : -1);
+  }
+
+  /** @override */
+  async _onStartTurn(combatant) {
+    await super._onStartTurn(combatant);
+    Hooks.callAll("bshStartTurn", this, combatant);
+  }
+
+  /** @override */
+  async _onEndTurn(combatant) {
+    await super._onEndTurn(combatant);
+    await this._expireEffects(combatant);
+    Hooks.callAll("bshEndTurn", this, combatant);
+  }
+
+  /**
+   * Remove the temporary effects on a combatant's actor whose combat duration
+   * (in rounds or turns) has run out. Effects on the actor itself are deleted
+   * while those transferred from its items are disabled, leaving the item
+   * intact.
+   */
+  async _expireEffects(combatant) {
+    const actor = combatant.actor;
+    if (!actor) return;
+
+    const expired = Array.from(actor.allApplicableEffects()).filter(effect => {
+      if (effect.disabled) return false;
+      const duration = effect.updateDuration();
+      return duration.type === "turns" && duration.remaining !== null && duration.remaining <= 0;
+    });
+    for (const effect of expired) {
+      if (effect.parent === actor) {
+        await effect.delete();
+      } else {
+        await effect.update({ disabled: true });
+      }
+    }
+  }
+
+  /**
+   * Returns the actors for the hostile creatures in this combat, which are
+   * the opponents used to work out the threat for initiative tests.
+   */
+  _getHostileOpponents() {
+    return this.combatants.filter(c => c.actor && c.actor.type !== "character" &&
+                                       c.token?.disposition === CONST.TOKEN_DISPOSITIONS.HOSTILE)
+                          .map(c => c.actor);
+  }
+
+  /**
+   * Builds the update for a combatant from the result of its initiative test,
+   * or from its initiative mode if it doesn't test (in which case the result
+   * is null).
+   */
+  _getInitiativeUpdate(combatant, result) {
+    let phase = getCreatureInitiativePhase(combatant.actor);
+    let critFlag = null;     // “critSuccess” | “critFailure” | null
+    let raw = 0;             // raw d20 result for those that roll (0 otherwise)
+
+    if (result) {
+      raw = result.result;
+      phase = (result.success ? "fast" : "slow");
+      if (result.critical.success) {
+        critFlag = "critSuccess";
+      } else if (result.critical.failure) {
+        critFlag = "critFailure";
+      }
+    }
+
+    return {
+      _id: combatant.id,
+      initiative: (BSHConfiguration.initiativePhases[phase].bucket * 1000) - raw,
+      "flags.bsh.critInit": critFlag,
+      "flags.bsh.phase": phase
+    };
+  }
+
+  /**
+   * Updates a combatant's initiative from the result of an initiative test
+   * made outside of a roll for the whole combat, such as a pushed test.
+   */
+  async applyInitiativeResult(combatant, result) {
+    if (result) {
+      await this.updateEmbeddedDocuments("Combatant", [this._getInitiativeUpdate(combatant, result)], { diff: true });
+    }
+    return this;
   }
 
   /**
    * Roll initiative for the given Combatant IDs by:
-   *  1) Doing a 1d20 under-WIS check for PCs.
-   *  2) Assigning all monsters/NPCs a fixed “middle” initiative.
+   *  1) Making a WIS test for initiative for PCs (or a test of WIS or the
+   *     initiative score for creatures that roll).
+   *  2) Assigning all other monsters/NPCs the fixed initiative for their phase.
+   * The threat for the tests comes from the hostile creatures in the combat
+   * rather than from whatever the user happens to have targeted.
    */
   async _rollCombatantInitiatives(ids) {
     const updates = [];
@@ -36,78 +196,20 @@ export default class BSHCombat extends Combat {
       const actor = combatant.actor;
       if (!actor) continue;
 
-      const sys = actor.system;
-
-      // ─── 1) Determine WIS value ─────────────────────────────────────────────────
-      let wisValue = 10;
-      if (actor.type === "character") {
-        // If “calculated” exists, use it; otherwise compute on the fly:
-        let attributes = sys.calculated;
-        if (!attributes) {
-          attributes = calculateAttributeValues(sys, BSHConfiguration);
-        }
-        wisValue = typeof attributes.wisdom === "number" ? attributes.wisdom : 10;
-      } else {
-        // For NPCs/Creatures, just read system.attributes.wisdom if present
-        wisValue = sys.attributes?.wisdom ?? 10;
-      }
+      if (rollsForInitiative(actor)) {
+        const options = {
+          combatant: combatant,
+          target: (actor.type === "character" ? undefined : getCreatureInitiativeScore(actor)),
+          threat: calculateThreat(actor, this._getHostileOpponents())
+        };
+        const result = await logInitiativeTest(actor, false, false, options);
 
-      // ─── 2) Initialize defaults ─────────────────────────────────────────────────
-      let bucket = 2;          // default bucket 2 = monsters/NPCs
-      let critFlag = null;     // “critSuccess” | “critFailure” | null
-      let raw = 0;             // raw d20 result for PCs (0 for monsters)
-      let initiativeValue = 0;
-
-      // ─── 3) If PC, roll 1d20 under-WIS ──────────────────────────────────────────
-      if (actor.type === "character") {
-        const roll = new Roll("1d20");
-        await roll.evaluate();         // no options needed; new API
-
-        raw = roll.total;
-
-        if (raw === 1) {
-          bucket = 3;
-          critFlag = "critSuccess";
-        }
-        else if (raw === 20) {
-          bucket = 1;
-          critFlag = "critFailure";
-        }
-        else if (raw < wisValue) {
-          bucket = 3;  // ordinary success
-        }
-        else {
-          bucket = 1;  // ordinary failure
-        }
-
-        // Compute numeric initiative = (bucket × 1000) − raw
-        initiativeValue = (bucket * 1000) - raw;
-
-        // Optionally, post a chat message:
-        // const flavor = (bucket === 3)
-        //   ? (raw === 1 ? "Critical Success (3 actions)" : "Success (2 actions)")
-        //   : (raw === 20 ? "Critical Failure (1 action)" : "Failure");
-        // await roll.toMessage({
-        //   speaker: ChatMessage.getSpeaker({ actor }),
-        //   flavor: `<strong>${actor.name}</strong> rolls <em>${raw}</em> vs WIS <em>${wisValue}</em>: <strong>${flavor}</strong>`
-        // });
-      }
-      // ─── 4) Otherwise, it’s a monster/NPC (no roll needed) ──────────────────────────
-      else {
-        bucket = 2;
-        raw = 0;
-        initiativeValue = (bucket * 1000) - raw;  // always 2000 for NPCs
+        updates.push(this._getInitiativeUpdate(combatant, result));
+      } else {
+        updates.push(this._getInitiativeUpdate(combatant, null));
       }
-
-      // ─── 5) Queue the Combatant update ───────────────────────────────────────────
-      updates.push({
-        _id: combatant.id,
-        initiative: initiativeValue,
-        "flags.bsh.critInit": critFlag
-      });
     }
 
-    // ─── 6) Apply all updates in one batch ───────────────────────────────────────
     if (updates.length) {
       await this.updateEmbeddedDocuments("Combatant", updates, { diff: true });
     }
@@ -115,34 +217,143 @@ export default class BSHCombat extends Combat {
   }
 }
 
-// ── Below: hook to replace the numeric initiative display with “Success”/“Failure” ── //
+/**
+ * Returns true if an actor tests for initiative, which characters always do
+ * and creatures do if their initiative mode is set to roll.
+ */
+function rollsForInitiative(actor) {
+  return actor.type === "character" || actor.system.initiative?.mode === "roll";
+}
+
+/**
+ * Returns the score tested by a creature that rolls for initiative. This is
+ * the creature's WIS if it has one, otherwise its initiative score.
+ */
+function getCreatureInitiativeScore(actor) {
+  const wisdom = actor.system.attributes?.wisdom;
+  return ((wisdom !== null && wisdom !== undefined) ? wisdom : actor.system.initiative.score);
+}
+
+/**
+ * Returns the initiative phase for a creature that doesn't roll for
+ * initiative, based on its initiative mode.
+ */
+function getCreatureInitiativePhase(actor) {
+  const mode = actor.system.initiative?.mode;
+  return ((mode === "first" || mode === "last") ? mode : "monsters");
+}
+
+/**
+ * Returns the key of the initiative phase a combatant acts in, or null if the
+ * combatant has yet to roll initiative. Combatants from before phases were
+ * recorded have their phase worked out from their initiative bucket.
+ */
+export function getInitiativePhase(combatant) {
+  const phase = combatant.flags.bsh?.phase;
+
+  if (combatant.initiative === null || combatant.initiative === undefined) {
+    return null;
+  }
+  if (phase && BSHConfiguration.initiativePhases[phase]) {
+    return phase;
+  }
+
+  const bucket = Math.ceil(combatant.initiative / 1000);
+  const entry = Object.entries(BSHConfiguration.initiativePhases).find(([key, details]) => details.bucket === bucket);
+  return (entry ? entry[0] : null);
+}
+
+/**
+ * Returns the outcome of a combatant's initiative test (one of the keys of the
+ * initiative actions configuration), or null for combatants that don't test
+ * for initiative. Only combatants that test for initiative act in the fast
+ * and slow phases.
+ */
+export function getInitiativeOutcome(combatant) {
+  const phase = getInitiativePhase(combatant);
+  const critical = combatant.flags.bsh?.critInit;
+
+  if (phase !== "fast" && phase !== "slow") {
+    return null;
+  }
+  return (critical || (phase === "fast" ? "success" : "failure"));
+}
+
+/**
+ * Builds the header row inserted into the combat tracker at the start of an
+ * initiative phase.
+ */
+function createPhaseHeader(phase) {
+  const header = document.createElement("li");
+  const name = (phase ? BSHConfiguration.initiativePhases[phase].name : "bsh.initiative.phases.pending");
+
+  header.classList.add("bsh-initiative-phase");
+  header.dataset.phase = (phase || "pending");
+  header.textContent = game.i18n.localize(name);
+  return header;
+}
+
+/**
+ * Builds the badge showing the number of actions a combatant gets for a
+ * critical initiative outcome.
+ */
+function createActionBadge(outcome) {
+  const badge = document.createElement("span");
+  const actions = BSHConfiguration.initiativeActions[outcome];
+
+  badge.classList.add("bsh-initiative-actions", `bsh-initiative-${outcome}`);
+  badge.dataset.tooltip = game.i18n.format("bsh.initiative.actions", { actions: actions });
+  badge.textContent = `${actions}`;
+  return badge;
+}
+
+// ── Below: hook to group the tracker into phases and show initiative outcomes ── //
 
 Hooks.on("renderCombatTracker", (trackerApp, html) => {
   // If there's no active Combat, or no combatants, bail out early
   if (!trackerApp.combat || !trackerApp.combat.combatants) return;
 
+  let currentPhase;
+
   // In FVTT V12, the Combat Tracker is rendered as <ol><li class="combatant">…</li></ol>
-  html.find("li.combatant").each((_idx, li) => {
-    // li is the <li class="combatant">…</li> element
-    const row = li;
+  // Give the GM a control to skip to the next initiative phase
+  if (game.user.isGM && trackerApp.combat.started) {
+    const nextTurn = html.find('[data-control="nextTurn"]');
+    const control = $(`<a class="combat-control bsh-next-phase" role="button" data-tooltip="${game.i18n.localize("bsh.initiative.nextPhase")}"><i class="fas fa-forward-fast"></i></a>`);
+
+    control.on("click", event => {
+      event.preventDefault();
+      trackerApp.combat.nextPhase();
+    });
+    nextTurn.after(control);
+  }
+
+  html.find("li.combatant").each((_idx, row) => {
     const combatantId = row.dataset.combatantId;
     if (!combatantId) return;
 
     const combatant = trackerApp.combat.combatants.get(combatantId);
     if (!combatant) return;
 
-    // Locate the <span class="combatant-initiative">…</span> inside that <li>
-    const initSpan = row.querySelector("span.combatant-initiative");
+    // Combatants are sorted by initiative, so a header goes before the first of each phase
+    const phase = getInitiativePhase(combatant);
+    if (phase !== currentPhase) {
+      row.before(createPhaseHeader(phase));
+      currentPhase = phase;
+    }
+
+    const initSpan = row.querySelector(".token-initiative .initiative, span.combatant-initiative");
     if (!initSpan) return;
 
-    // If it’s a PC, show “Success” or “Failure” based on numeric initiative
-    const actor = combatant.actor;
-    if (actor?.type === "character") {
-      const initValue = combatant.initiative ?? 0;
-      initSpan.textContent = (initValue > 2000 ? "Success" : "Failure");
-    }
-    // If it’s a monster/NPC, blank out the text
-    else {
+    // Those that tested show the outcome of their test, everyone else shows nothing
+    const outcome = getInitiativeOutcome(combatant);
+    if (outcome) {
+      initSpan.textContent = game.i18n.localize(`bsh.initiative.outcomes.${outcome}`);
+      initSpan.dataset.tooltip = `${combatant.initiative}`;
+      if (outcome === "critSuccess" || outcome === "critFailure") {
+        initSpan.after(createActionBadge(outcome));
+      }
+    } else {
       initSpan.textContent = "";
     }
   });
@@ -349,6 +349,35 @@ BSHConfiguration.classicBirthList = [
   "bsh.births.20"
 ];
 
+/**
+ * The ways a creature can act in combat. Normal creatures act in the monsters
+ * phase, between the characters that pass and those that fail their
+ * initiative tests. Creatures that roll test their initiative score and act
+ * alongside the characters with the same outcome.
+ */
+BSHConfiguration.creatureInitiativeModes = {
+	"normal": "bsh.creatures.initiative.modes.normal",
+	"first": "bsh.creatures.initiative.modes.first",
+	"last": "bsh.creatures.initiative.modes.last",
+	"roll": "bsh.creatures.initiative.modes.roll"
+};
+
+/**
+ * The types of damage that weapons and creature actions can inflict. Creatures
+ * can be resistant (halving the damage) or vulnerable (doubling it) to each of
+ * these.
+ */
+BSHConfiguration.damageTypes = {
+	"acid": "bsh.damageTypes.acid",
+	"cold": "bsh.damageTypes.cold",
+	"fire": "bsh.damageTypes.fire",
+	"lightning": "bsh.damageTypes.lightning",
+	"magic": "bsh.damageTypes.magic",
+	"physical": "bsh.damageTypes.physical",
+	"poison": "bsh.damageTypes.poison",
+	"silver": "bsh.damageTypes.silver"
+};
+
 BSHConfiguration.diceList = {
 	"d4": "bsh.dice.d4",
 	"d6": "bsh.dice.d6",
@@ -358,6 +387,18 @@ BSHConfiguration.diceList = {
 	"d20": "bsh.dice.d20"
 };
 
+/**
+ * The default fumble tables for each category of fumble, drawn from when a
+ * world doesn't specify its own table. These are shipped in the system
+ * compendium.
+ */
+BSHConfiguration.fumbleTables = {
+	"attack": "Compendium.black-sword-hack.fumble-tables.RollTable.bshFumbleAttacks",
+	"defence": "Compendium.black-sword-hack.fumble-tables.RollTable.bshFumbleDefence",
+	"spell": "Compendium.black-sword-hack.fumble-tables.RollTable.bshFumbleSpells0",
+	"summoning": "Compendium.black-sword-hack.fumble-tables.RollTable.bshFumbleSummons"
+};
+
 BSHConfiguration.giftList = [
   {key: "none",
    name: "bsh.none"},
@@ -423,6 +464,55 @@ BSHConfiguration.giftList = [
 	 power: "law"}
 ];
 
+/**
+ * The number of actions a character gets for each outcome of their initiative
+ * test. The combat tracker shows a badge with the action count for critical
+ * outcomes.
+ */
+BSHConfiguration.initiativeActions = {
+	"critFailure": 1,
+	"critSuccess": 3,
+	"failure": 2,
+	"success": 2
+};
+
+/**
+ * The phases of a combat round, in the order they act. The bucket for a phase
+ * is the thousands part of the initiative of the combatants in it.
+ */
+BSHConfiguration.initiativePhases = {
+	"first": {
+		"bucket": 4,
+		"name": "bsh.initiative.phases.first"
+	},
+	"fast": {
+		"bucket": 3,
+		"name": "bsh.initiative.phases.fast"
+	},
+	"monsters": {
+		"bucket": 2,
+		"name": "bsh.initiative.phases.monsters"
+	},
+	"slow": {
+		"bucket": 1,
+		"name": "bsh.initiative.phases.slow"
+	},
+	"last": {
+		"bucket": 0,
+		"name": "bsh.initiative.phases.last"
+	}
+};
+
+/**
+ * The ways combatants with the same initiative can be ordered. Ties are
+ * broken by name, and then by combatant id, after applying the chosen order.
+ */
+BSHConfiguration.initiativeTieBreaks = {
+	"charactersFirst": "bsh.settings.options.initiativeTies.choices.charactersFirst",
+	"creaturesFirst": "bsh.settings.options.initiativeTies.choices.creaturesFirst",
+	"name": "bsh.settings.options.initiativeTies.choices.name"
+};
+
 BSHConfiguration.itemRarityList = {
 	"common": "bsh.rarities.common",
 	"rare": "bsh.rarities.rare",
@@ -530,6 +620,49 @@ BSHConfiguration.spellStates = {
 	"unavailable": "bsh.spells.states.unavailable"
 };
 
+/**
+ * The BSH specific token status effects. The rolls setting lists the kinds of
+ * roll that an actor with the effect must make with disadvantage.
+ */
+BSHConfiguration.statusEffects = [
+	{
+		"id": "doomed",
+		"img": "icons/svg/skull.svg",
+		"name": "bsh.statusEffects.doomed",
+		"rolls": []
+	},
+	{
+		"id": "berserk",
+		"img": "icons/svg/blood.svg",
+		"name": "bsh.statusEffects.berserk",
+		"rolls": []
+	},
+	{
+		"id": "fled",
+		"img": "icons/svg/wingfoot.svg",
+		"name": "bsh.statusEffects.fled",
+		"rolls": []
+	},
+	{
+		"id": "poisoned",
+		"img": "icons/svg/poison.svg",
+		"name": "bsh.statusEffects.poisoned",
+		"rolls": ["attack", "attribute", "defence", "initiative", "perception"]
+	},
+	{
+		"id": "prone",
+		"img": "icons/svg/falling.svg",
+		"name": "bsh.statusEffects.prone",
+		"rolls": ["attack", "defence"]
+	},
+	{
+		"id": "unconscious",
+		"img": "icons/svg/unconscious.svg",
+		"name": "bsh.statusEffects.unconscious",
+		"rolls": []
+	}
+];
+
 BSHConfiguration.summoningStates = {
 	"unused": "bsh.summoning.states.unused",
 	"used": "bsh.summoning.states.used"
@@ -559,6 +692,26 @@ BSHConfiguration.weaponHandsList = {
 	"2": "bsh.weapons.hands.two"
 };
 
+/**
+ * The properties a weapon can have. See the weapons module for the effects of
+ * each of these.
+ */
+BSHConfiguration.weaponProperties = {
+	"dualWield": "bsh.weapons.properties.dualWield",
+	"loading": "bsh.weapons.properties.loading",
+	"reach": "bsh.weapons.properties.reach",
+	"silvered": "bsh.weapons.properties.silvered",
+	"thrown": "bsh.weapons.properties.thrown",
+	"versatile": "bsh.weapons.properties.versatile"
+};
+
+BSHConfiguration.weaponRanges = {
+	"engaged": "bsh.weapons.ranges.engaged",
+	"close": "bsh.weapons.ranges.close",
+	"near": "bsh.weapons.ranges.near",
+	"far": "bsh.weapons.ranges.far"
+};
+
 BSHConfiguration.weaponTypes = {
 	"melee": "bsh.weapons.types.melee",
 	"ranged": "bsh.weapons.types.ranged",
@@ -0,0 +1,271 @@
+import {showMessage} from './chat_messages.js';
+import {calculateCharacterData, interpolate} from './shared.js';
+import {hasStatusEffect} from './status_effects.js';
+
+/**
+ * Returns a list of the actors for all tokens that the current user has either
+ * selected or targeted on the canvas. Each actor will only appear once in the
+ * list, even if it is both selected and targeted.
+ */
+export function getDamageTargets() {
+    let actors = [];
+    let tokens = [];
+
+    if(canvas.tokens) {
+        tokens = canvas.tokens.controlled.concat(Array.from(game.user.targets));
+    }
+
+    tokens.forEach((token) => {
+        if(token.actor && !actors.includes(token.actor)) {
+            actors.push(token.actor);
+        }
+    });
+
+    return(actors);
+}
+
+/**
+ * Returns the name of the system field that holds an actors current hit points.
+ * Characters and creatures store this information in different fields.
+ */
+export function getHitPointsField(actor) {
+    return(actor.type === "character" ? "currentHitPoints" : "hitPoints");
+}
+
+/**
+ * Returns the rating for the armour worn by an actor. For characters this
+ * depends on the type of armour worn while creatures have an armour rating
+ * set directly on their sheet.
+ */
+export function getArmourRating(actor) {
+    let rating = 0;
+
+    if(actor.type === "character" && actor.system.armour) {
+        let armour = CONFIG.configuration.armourTypes[actor.system.armour.type];
+
+        if(armour) {
+            rating = armour.rating;
+        }
+    } else if(actor.type === "creature") {
+        rating = (parseInt(actor.system.armour) || 0);
+    }
+
+    return(rating);
+}
+
+/**
+ * Converts a damage type option into a list of damage types. The option may
+ * be a single type, a comma separated list of types or an array of types.
+ */
+export function getDamageTypeList(damageType) {
+    let types = (Array.isArray(damageType) ? damageType : `${damageType || ""}`.split(","));
+
+    return(types.map((type) => type.trim()).filter((type) => type in CONFIG.configuration.damageTypes));
+}
+
+/**
+ * Returns the list of adjustments that apply to damage of a given type (or
+ * types, see getDamageTypeList()) received by an actor. Creatures halve the
+ * damage if they are resistant to all of its types and double it if they are
+ * vulnerable to any of its types, so silvered weapons get past resistances to
+ * their normal damage type. A berserk actor halves all of the damage they
+ * receive. Each adjustment has a factor (either 0.5 or 2) and a label
+ * describing it.
+ */
+export function getDamageAdjustments(actor, damageType=null) {
+    let adjustments = [];
+    let types       = getDamageTypeList(damageType);
+    let typeNames   = (list) => list.map((type) => game.i18n.localize(CONFIG.configuration.damageTypes[type])).join(", ");
+
+    if(types.length > 0 && actor.type === "creature") {
+        let vulnerable = types.filter((type) => actor.system.vulnerabilities[type]);
+
+        if(types.every((type) => actor.system.resistances[type])) {
+            adjustments.push({factor: 0.5, label: interpolate("bsh.messages.labels.resistant", {type: typeNames(types)})});
+        }
+        if(vulnerable.length > 0) {
+            adjustments.push({factor: 2, label: interpolate("bsh.messages.labels.vulnerable", {type: typeNames(vulnerable)})});
+        }
+    }
+
+    if(hasStatusEffect(actor, "berserk")) {
+        adjustments.push({factor: 0.5, label: game.i18n.localize("bsh.statusEffects.berserk")});
+    }
+
+    return(adjustments);
+}
+
+/**
+ * Works out the effect of applying an amount of damage to an actor. The mode
+ * parameter should be one of "full", "half", "double" or "heal". Damage is
+ * reduced by the rating of any armour the actor is wearing unless the options
+ * passed in indicate that the damage came from a critical hit (and the world
+ * settings state that critical hits ignore armour) or that armour should be
+ * ignored outright. The damageType option names the type (or types) of the
+ * damage, which decides whether a creature resists or is vulnerable to it.
+ * Resistances, vulnerabilities and being berserk are applied before armour,
+ * with a resistance and a vulnerability to the same damage cancelling each
+ * other out. Returns an object containing the field to be updated, the
+ * amount the hit points change by, the adjustments made to the damage, the
+ * amount soaked by armour and the hit point values before and after the
+ * change.
+ */
+export function calculateHitPointChange(actor, amount, mode="full", options={}) {
+    let field  = getHitPointsField(actor);
+    let before = parseInt(actor.system[field]) || 0;
+    let change = {adjustments: [], amount: 0, before: before, field: field, soaked: 0};
+
+    switch(mode) {
+        case "half":
+            change.amount = Math.floor(amount / 2);
+            break;
+
+        case "double":
+            change.amount = amount * 2;
+            break;
+
+        default:
+            change.amount = amount;
+    }
+
+    if(mode === "heal") {
+        change.after = before + change.amount;
+        if(actor.type === "character") {
+            calculateCharacterData(actor, CONFIG.configuration);
+            if(change.after > actor.system.maximumHitPoints) {
+                change.after = Math.max(before, actor.system.maximumHitPoints);
+            }
+        }
+    } else {
+        let factor;
+
+        change.adjustments = getDamageAdjustments(actor, options.damageType);
+        factor             = change.adjustments.reduce((total, adjustment) => total * adjustment.factor, 1);
+        change.amount      = Math.floor(change.amount * factor);
+
+        if(!options.ignoreArmour && !(options.critical && game.settings.get("black-sword-hack", "criticalsIgnoreArmour"))) {
+            change.soaked = Math.min(getArmourRating(actor), change.amount);
+            change.amount -= change.soaked;
+        }
+        change.after = Math.max(before - change.amount, 0);
+    }
+
+    return(change);
+}
+
+/**
+ * Applies an amount of damage (or healing) to a list of actors and posts a
+ * summary of the changes to chat. The summary message records the original
+ * hit point values so that the change can subsequently be undone. The options
+ * are passed on to calculateHitPointChange(). Returns a promise that yields
+ * the list of changes made.
+ */
+export async function applyDamage(actors, amount, mode="full", options={}) {
+    let changes = [];
+
+    for(let actor of actors) {
+        if(actor.isOwner) {
+            let change = calculateHitPointChange(actor, amount, mode, options);
+
+            await actor.update({system: {[change.field]: change.after}}, {diff: true});
+            changes.push(Object.assign(change, {name: actor.name, uuid: actor.uuid}));
+        } else {
+            console.warn(`Unable to apply damage to '${actor.name}' as the current user does not own it.`);
+            ui.notifications.warn(interpolate("bsh.errors.damage.notOwner", {name: actor.name}));
+        }
+    }
+
+    if(changes.length > 0) {
+        let data = {changes: changes,
+                    heal:    (mode === "heal"),
+                    title:   game.i18n.localize(mode === "heal" ? "bsh.messages.titles.healingApplied" : "bsh.messages.titles.damageApplied")};
+
+        await showMessage(undefined,
+                          "systems/black-sword-hack/templates/messages/damage-applied.hbs",
+                          data,
+                          {flags: {bsh: {damage: {changes: changes, undone: false}}}});
+    }
+
+    return(changes);
+}
+
+/**
+ * Reverts the hit point changes recorded against a damage summary message.
+ */
+export async function undoDamage(message) {
+    let details = message.flags.bsh && message.flags.bsh.damage;
+
+    if(details && !details.undone) {
+        for(let change of details.changes) {
+            let actor = await fromUuid(change.uuid);
+
+            if(actor) {
+                await actor.update({system: {[change.field]: change.before}}, {diff: true});
+            } else {
+                console.error(`Unable to locate an actor with the UUID '${change.uuid}' to undo damage on.`);
+            }
+        }
+        await message.update({"flags.bsh.damage.undone": true});
+        ui.notifications.notify(game.i18n.localize("bsh.messages.damage.undone"));
+    } else {
+        console.warn("Undo damage requested for a message that has no outstanding damage changes.");
+    }
+}
+
+/**
+ * Event handler for the apply damage buttons on damage roll chat messages. If
+ * the button records a target (as it does for creature action damage) the
+ * damage is applied to that target, otherwise it is applied to the tokens the
+ * user has selected or targeted.
+ */
+export async function onApplyDamageClicked(event) {
+    let element = event.currentTarget;
+    let actors  = [];
+
+    event.preventDefault();
+    if(element.dataset.target) {
+        let target = await fromUuid(element.dataset.target);
+
+        if(target) {
+            actors.push(target);
+        } else {
+            console.error(`Unable to locate the damage target '${element.dataset.target}'.`);
+        }
+    } else {
+        actors = getDamageTargets();
+    }
+
+    if(element.dataset.amount !== undefined) {
+        if(actors.length > 0) {
+            let options = {critical:     (element.dataset.critical === "true"),
+                           damageType:   (element.dataset.damageType || null),
+                           ignoreArmour: (element.dataset.ignoreArmour === "true")};
+
+            applyDamage(actors, parseInt(element.dataset.amount) || 0, element.dataset.mode, options);
+        } else {
+            ui.notifications.warn(game.i18n.localize("bsh.errors.damage.noTargets"));
+        }
+    } else {
+        console.error("Apply damage requested but requesting element does not have an amount attribute.");
+    }
+
+    return(false);
+}
+
+/**
+ * Event handler for the undo button on damage summary chat messages.
+ */
+export function onUndoDamageClicked(event) {
+    let button  = event.currentTarget;
+    let element = button.closest("[data-message-id]");
+    let message = (element ? game.messages.get(element.dataset.messageId) : null);
+
+    event.preventDefault();
+    if(message) {
+        undoDamage(message).then(() => button.disabled = true);
+    } else {
+        console.error("Undo damage requested but unable to locate the owning chat message.");
+    }
+
+    return(false);
+}
@@ -3,10 +3,10 @@ import {logCallSpirit,
         logDemonSummoning,
         logDemonSummoningFailure} from './chat_messages.js';
 import {BSHConfiguration} from './configuration.js';
+import {RollModifiers} from './dice/roll_modifiers.js';
 import {rollDoom} from './doom.js';
 import {calculateAttributeValues,
         getActorById,
-        getOwnedItemById,
         interpolate} from './shared.js';
 
 /**
@@ -30,71 +30,81 @@ export async function resetDarkPact(actorId, type) {
 }
 
 /**
- * This function makes the doom roll related to summoning a demon.
+ * This function makes the doom roll related to summoning a demon (an owned
+ * item document). The result is reported to chat unless the chat option is
+ * set to false. Returns a promise that yields the details of the doom roll
+ * or null if the demon could not be summoned.
  */
-export async function summonDemon(demonId, rollType) {
-    let demon = getOwnedItemById(demonId);
-
-    if(demon && demon.type === "demon") {
+export async function summonDemon(demon, rollType, options={}) {
+    if(demon && demon.type === "demon" && demon.actor) {
         if(demon.actor.system.doom !== "exhausted") {
+            let modifiers = new RollModifiers().addRollType(rollType);
+
+            // A second summoning in the same day is made with disadvantage.
             if(demon.actor.system.summoning.demon !== "unused") {
-                if(rollType === "advantage") {
-                    rollType = "standard";
-                } else if(rollType === "standard") {
-                    rollType = "disadvantage";
-                }
+                modifiers.add("summoning", "disadvantage");
             }
 
-            rollDoom(demon.actor, rollType).then((result) => {
-                demon.actor.update({system: {summoning: {demon: "used"}}}, {diff: true});
-                result.doomed = (result.die.ending === "exhausted");
-                if(result.downgraded) {
-                    logDemonSummoningFailure(demon, result);
-                } else {
-                    logDemonSummoning(demon, result);
+            return(rollDoom(demon.actor, "standard", modifiers).then(async (result) => {
+                await demon.actor.update({system: {summoning: {demon: "used"}}}, {diff: true});
+                result.doomed  = (result.die.ending === "exhausted");
+                result.success = !result.downgraded;
+                if(options.chat !== false) {
+                    if(result.downgraded) {
+                        logDemonSummoningFailure(demon, result, options);
+                    } else {
+                        logDemonSummoning(demon, result, options);
+                    }
                 }
-            });
+                return(result);
+            }));
         } else {
             console.error(`Unable to summon the '${demon.name}' demon as your Doom die is exhausted.`);
             ui.notifications.error(interpolate("bsh.messages.demons.unavailable", {name: demon.name}));
         }
     } else {
-        console.error(`Unable to locate an owned demon with the id '${demonId}'.`);
+        console.error("Unable to summon a demon as it is missing or is not an owned demon.");
         ui.notifications.error(game.i18n.localize("bsh.errors.items.owned.notFound"));
     }
+    return(null);
 }
 
 /**
- * This function makes the doom roll related to summoning a spirit.
+ * This function makes the doom roll related to summoning a spirit (an owned
+ * item document). The result is reported to chat unless the chat option is
+ * set to false. Returns a promise that yields the details of the doom roll
+ * or null if the spirit could not be summoned.
  */
-export async function summonSpirit(spiritId, rollType) {
-    let spirit = getOwnedItemById(spiritId);
-
-    if(spirit && spirit.type === "spirit") {
+export async function summonSpirit(spirit, rollType, options={}) {
+    if(spirit && spirit.type === "spirit" && spirit.actor) {
         if(spirit.actor.system.doom !== "exhausted") {
+            let modifiers = new RollModifiers().addRollType(rollType);
+
+            // A second summoning in the same day is made with disadvantage.
             if(spirit.actor.system.summoning.spirit !== "unused") {
-                if(rollType === "advantage") {
-                    rollType = "standard";
-                } else if(rollType === "standard") {
-                    rollType = "disadvantage";
-                }
+                modifiers.add("summoning", "disadvantage");
             }
 
-            rollDoom(spirit.actor, rollType).then((result) => {
-                spirit.actor.update({system: {summoning: {spirit: "used"}}}, {diff: true});
-                result.doomed = (result.die.ending === "exhausted");
-                if(result.downgraded) {
-                    logCallSpiritFailure(spirit, result);
-                } else {
-                    logCallSpirit(spirit, result);
+            return(rollDoom(spirit.actor, "standard", modifiers).then(async (result) => {
+                await spirit.actor.update({system: {summoning: {spirit: "used"}}}, {diff: true});
+                result.doomed  = (result.die.ending === "exhausted");
+                result.success = !result.downgraded;
+                if(options.chat !== false) {
+                    if(result.downgraded) {
+                        logCallSpiritFailure(spirit, result, options);
+                    } else {
+                        logCallSpirit(spirit, result, options);
+                    }
                 }
-            });
+                return(result);
+            }));
         } else {
             console.error(`Unable to summon the '${spirit.name}' spirit as your Doom die is exhausted.`);
             ui.notifications.error(interpolate("bsh.messages.spirits.unavailable", {name: spirit.name}));
         }
     } else {
-        console.error(`Unable to locate an owned spirit with the id '${spiritId}'.`);
+        console.error("Unable to summon a spirit as it is missing or is not an owned spirit.");
         ui.notifications.error(game.i18n.localize("bsh.errors.items.owned.notFound"));
     }
+    return(null);
 }
@@ -0,0 +1,138 @@
+import {calculateAttributeValues,
+        calculateLevel,
+        calculateMaximumHitPoints,
+        upgradeDie} from '../shared.js';
+import {attributeField,
+        descriptionField,
+        modifierField,
+        positiveIntegerField} from './fields.js';
+
+/**
+ * Generates the field for a single story entry. Stories differ in the
+ * improvements they grant so the settings passed in dictate the level name,
+ * the number of attribute improvements (0, 1 or 2), whether a gift is granted
+ * and whether the doom die is upgraded.
+ */
+function storyField(settings) {
+    const fields     = foundry.data.fields;
+    let   attributes = {granted: new fields.BooleanField({initial: settings.attributes > 0})};
+    let   gift       = {granted: new fields.BooleanField({initial: settings.gift === true})};
+    let   schema     = {hitPoints: positiveIntegerField(1),
+                        level:     new fields.StringField({initial: `bsh.levels.names.${settings.level}`})};
+
+    if(settings.attributes > 0) {
+        attributes.first = new fields.SchemaField({choice: new fields.StringField({initial: "none"})});
+    }
+    if(settings.attributes > 1) {
+        attributes.second = new fields.SchemaField({choice: new fields.StringField({initial: "none"})});
+    }
+    if(settings.gift) {
+        gift.choice = new fields.StringField({initial: "none"});
+    }
+    if(settings.doomDie) {
+        schema.doomDie = new fields.StringField({initial: settings.doomDie});
+    }
+
+    schema.attributes = new fields.SchemaField(attributes);
+    schema.gift       = new fields.SchemaField(gift);
+
+    return(new fields.SchemaField({improvements: new fields.SchemaField(schema),
+                                   title:        new fields.StringField({initial: ""})}));
+}
+
+/**
+ * The data model for character actors. Level, calculated attribute values,
+ * maximum hit points and the damage dice in use are derived from the stored
+ * data when the actor is prepared. The modifiers field is the target for
+ * active effects, which are applied before the derived values are calculated.
+ */
+export default class CharacterData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({armour: new fields.SchemaField({description: new fields.StringField({initial: ""}),
+                                                shield:      new fields.StringField({initial: "no"}),
+                                                type:        new fields.StringField({initial: "none"})}),
+                attributes: new fields.SchemaField({strength:     attributeField(),
+                                                    dexterity:    attributeField(),
+                                                    constitution: attributeField(),
+                                                    intelligence: attributeField(),
+                                                    wisdom:       attributeField(),
+                                                    charisma:     attributeField()}),
+                backgrounds: new fields.SchemaField({first:  new fields.StringField({initial: ""}),
+                                                     second: new fields.StringField({initial: ""}),
+                                                     third:  new fields.StringField({initial: ""})}),
+                birth: new fields.StringField({initial: ""}),
+                coins: new fields.SchemaField({first:  positiveIntegerField(),
+                                               second: positiveIntegerField(),
+                                               third:  positiveIntegerField(),
+                                               fourth: positiveIntegerField(),
+                                               fifth:  positiveIntegerField()}),
+                currentHitPoints: positiveIntegerField(),
+                damageDice: new fields.SchemaField({armed:   new fields.StringField({initial: "d6"}),
+                                                    unarmed: new fields.StringField({initial: "d4"})}),
+                description: descriptionField(),
+                doom: new fields.StringField({initial: "d6"}),
+                gifts: new fields.ArrayField(new fields.StringField(), {initial: ["", "", "", "", ""]}),
+                languages: new fields.ArrayField(new fields.StringField(), {initial: ["", "", "", "", ""]}),
+                modifiers: new fields.SchemaField({attributes: new fields.SchemaField({strength:     modifierField(),
+                                                                                      dexterity:    modifierField(),
+                                                                                      constitution: modifierField(),
+                                                                                      intelligence: modifierField(),
+                                                                                      wisdom:       modifierField(),
+                                                                                      charisma:     modifierField()}),
+                                                   damageDice: new fields.SchemaField({armed:   modifierField(),
+                                                                                      unarmed: modifierField()}),
+                                                   maximumHitPoints: modifierField(),
+                                                   rollMode: modifierField()}),
+                origin: new fields.StringField({initial: "barbarian"}),
+                playerName: new fields.StringField({initial: ""}),
+                stories: new fields.SchemaField({"00": storyField({attributes: 1, level: 2}),
+                                                 "01": storyField({gift: true, level: 3}),
+                                                 "02": storyField({attributes: 2, level: 4}),
+                                                 "03": storyField({gift: true, level: 5}),
+                                                 "04": storyField({attributes: 1, level: 6}),
+                                                 "05": storyField({gift: true, level: 7}),
+                                                 "06": storyField({attributes: 2, level: 8}),
+                                                 "07": storyField({gift: true, level: 9}),
+                                                 "08": storyField({doomDie: "d8", level: 10})}),
+                summoning: new fields.SchemaField({demon:  new fields.StringField({initial: "unused"}),
+                                                   spirit: new fields.StringField({initial: "unused"})}),
+                tabSelected: new fields.StringField({initial: "front-page"})});
+    }
+
+    /**
+     * Older versions of the system could store a background as an object
+     * rather than as its key, this converts those to the key value. They also
+     * didn't cap attribute values, so any above 18 are reduced to 18.
+     */
+    static migrateData(source) {
+        if(source.attributes) {
+            Object.keys(source.attributes).forEach((key) => {
+                if(Number(source.attributes[key]) > 18) {
+                    source.attributes[key] = 18;
+                }
+            });
+        }
+
+        if(source.backgrounds) {
+            ["first", "second", "third"].forEach((key) => {
+                let background = source.backgrounds[key];
+
+                if(background && typeof background === "object") {
+                    source.backgrounds[key] = (background.key || "");
+                }
+            });
+        }
+        return(super.migrateData(source));
+    }
+
+    prepareDerivedData() {
+        super.prepareDerivedData();
+        this.level             = calculateLevel(this, CONFIG.configuration);
+        this.calculated        = calculateAttributeValues(this, CONFIG.configuration);
+        this.maximumHitPoints  = calculateMaximumHitPoints(this, this.level);
+        this.currentDamageDice = {armed:   upgradeDie(this.damageDice.armed, this.modifiers.damageDice.armed),
+                                  unarmed: upgradeDie(this.damageDice.unarmed, this.modifiers.damageDice.unarmed)};
+    }
+}
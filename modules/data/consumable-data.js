@@ -0,0 +1,17 @@
+import {descriptionField, positiveIntegerField, rarityField} from './fields.js';
+
+/**
+ * The data model for consumable items. A current usage die value of "^"
+ * indicates that the usage die is at its maximum.
+ */
+export default class ConsumableData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({description: descriptionField(),
+                quantity:    positiveIntegerField(1),
+                rarity:      rarityField(),
+                usageDie:    new fields.SchemaField({current: new fields.StringField({initial: "^"}),
+                                                     maximum: new fields.StringField({initial: "d4"})})});
+    }
+}
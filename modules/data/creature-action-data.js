@@ -0,0 +1,17 @@
+import {attributeFlagsField, damageTypeField, descriptionField} from './fields.js';
+
+/**
+ * The data model for creature action items. The attribute flags indicate the
+ * attributes a character tests to defend against the action and the damage
+ * type is the type of the damage the action inflicts.
+ */
+export default class CreatureActionData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({attributes:  attributeFlagsField(),
+                damage:      new fields.StringField({initial: ""}),
+                damageType:  damageTypeField(),
+                description: descriptionField()});
+    }
+}
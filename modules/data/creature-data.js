@@ -0,0 +1,82 @@
+import {BSHConfiguration} from '../configuration.js';
+import {creatureAttributeField, damageTypeFlagsField, descriptionField, optionalAttributesField, positiveIntegerField} from './fields.js';
+
+/**
+ * Converts the free text resistances or vulnerabilities stored by older
+ * versions of the system into damage type flags. Entries that name a damage
+ * type become flags while any others are returned as unmatched so that the
+ * text isn't lost.
+ */
+function migrateDamageTypeText(text) {
+    let flags     = {};
+    let unmatched = [];
+
+    `${text}`.split(/[,;\/]|\band\b/i).forEach((entry) => {
+        let type = entry.trim().toLowerCase();
+
+        if(type in BSHConfiguration.damageTypes) {
+            flags[type] = true;
+        } else if(type !== "") {
+            unmatched.push(entry.trim());
+        }
+    });
+
+    return({flags: flags, unmatched: unmatched});
+}
+
+/**
+ * The data model for creature actors. The resistances and vulnerabilities are
+ * flags for each of the damage types, a creature taking half damage from the
+ * types it resists and double damage from the types it is vulnerable to. The
+ * initiative mode decides when the creature acts in combat (see the creature
+ * initiative modes configuration), with the initiative score being the value
+ * tested by creatures without a WIS that roll for initiative like a character.
+ *
+ * A creature may also have values for any of the six attributes, an armour
+ * rating that soaks damage in the same way as a character's armour, a damage
+ * die rolled for actions that don't specify their own damage, a movement
+ * description and a morale score. A creature that leads a group has the
+ * leader flag set, its loss forcing the rest of the group to check their
+ * morale. A creature's value for an attribute opposes the defences against
+ * its actions that test that attribute.
+ */
+export default class CreatureData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({armour:          positiveIntegerField(0),
+                attributes:      optionalAttributesField(),
+                damageDie:       new fields.StringField({blank: true, choices: Object.keys(BSHConfiguration.diceList), initial: "", required: true}),
+                description:     descriptionField(),
+                hitPoints:       positiveIntegerField(5),
+                initiative:      new fields.SchemaField({mode:  new fields.StringField({choices: Object.keys(BSHConfiguration.creatureInitiativeModes), initial: "normal", required: true}),
+                                                         score: creatureAttributeField(10)}),
+                leader:          new fields.BooleanField({initial: false}),
+                level:           new fields.NumberField({initial: 1, integer: true, min: 1, nullable: false, required: true}),
+                morale:          creatureAttributeField(10),
+                movement:        new fields.StringField({initial: ""}),
+                resistances:     damageTypeFlagsField(),
+                vulnerabilities: damageTypeFlagsField()});
+    }
+
+    /**
+     * Older versions of the system stored resistances and vulnerabilities as
+     * free text, this converts those to damage type flags. Any text that does
+     * not name a damage type is appended to the creature description.
+     */
+    static migrateData(source) {
+        ["resistances", "vulnerabilities"].forEach((field) => {
+            if(typeof source[field] === "string") {
+                let result = migrateDamageTypeText(source[field]);
+
+                if(result.unmatched.length > 0) {
+                    let label = game.i18n.localize(`bsh.fields.labels.${field}`);
+
+                    source.description = `${source.description || ""}<p><strong>${label}:</strong> ${Handlebars.escapeExpression(result.unmatched.join(", "))}</p>`;
+                }
+                source[field] = result.flags;
+            }
+        });
+        return(super.migrateData(source));
+    }
+}
@@ -0,0 +1,10 @@
+import {descriptionField} from './fields.js';
+
+/**
+ * The data model for demon items.
+ */
+export default class DemonData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return({description: descriptionField()});
+    }
+}
@@ -0,0 +1,11 @@
+import {descriptionField, rarityField} from './fields.js';
+
+/**
+ * The data model for equipment items.
+ */
+export default class EquipmentData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return({description: descriptionField(),
+                rarity:      rarityField()});
+    }
+}
@@ -0,0 +1,108 @@
+import {BSHConfiguration} from '../configuration.js';
+
+/**
+ * This module contains functions for generating the field definitions that
+ * are shared between a number of the system data models.
+ */
+
+/**
+ * Generates a field for one of the six character attribute values. Attribute
+ * values are capped at 18.
+ */
+export function attributeField(initial=10) {
+    return(new foundry.data.fields.NumberField({initial: initial, integer: true, max: 18, min: 0, nullable: false, required: true}));
+}
+
+/**
+ * Generates a schema field containing a boolean field for each of the six
+ * character attributes.
+ */
+export function attributeFlagsField() {
+    const fields = foundry.data.fields;
+
+    return(new fields.SchemaField({strength:     new fields.BooleanField({initial: false}),
+                                   dexterity:    new fields.BooleanField({initial: false}),
+                                   constitution: new fields.BooleanField({initial: false}),
+                                   intelligence: new fields.BooleanField({initial: false}),
+                                   wisdom:       new fields.BooleanField({initial: false}),
+                                   charisma:     new fields.BooleanField({initial: false})}));
+}
+
+/**
+ * Generates a field for a creature attribute, initiative score or morale
+ * score. Creature values are capped at 20 rather than the 18 of a character
+ * and an initial value of null makes the field optional.
+ */
+export function creatureAttributeField(initial=10) {
+    return(new foundry.data.fields.NumberField({initial:  initial,
+                                                integer:  true,
+                                                max:      20,
+                                                min:      0,
+                                                nullable: initial === null,
+                                                required: initial !== null}));
+}
+
+/**
+ * Generates a schema field containing a boolean field for each of the damage
+ * types.
+ */
+export function damageTypeFlagsField() {
+    const fields = foundry.data.fields;
+
+    return(new fields.SchemaField(Object.keys(BSHConfiguration.damageTypes).reduce((flags, type) => {
+                                      flags[type] = new fields.BooleanField({initial: false});
+                                      return(flags);
+                                  }, {})));
+}
+
+/**
+ * Generates a field for the type of damage inflicted by a weapon or creature
+ * action.
+ */
+export function damageTypeField() {
+    return(new foundry.data.fields.StringField({choices: Object.keys(BSHConfiguration.damageTypes), initial: "physical", required: true}));
+}
+
+/**
+ * Generates the rich text description field that almost all document types
+ * possess.
+ */
+export function descriptionField() {
+    return(new foundry.data.fields.HTMLField({initial: "", required: true}));
+}
+
+/**
+ * Generates a field for an integer modifier value. Modifiers default to zero
+ * and are intended to be adjusted by active effects rather than edited
+ * directly.
+ */
+export function modifierField() {
+    return(new foundry.data.fields.NumberField({initial: 0, integer: true, nullable: false, required: true}));
+}
+
+/**
+ * Generates a schema field containing an optional value for each of the six
+ * character attributes. An attribute that has not been given a value is null.
+ */
+export function optionalAttributesField() {
+    return(new foundry.data.fields.SchemaField({strength:     creatureAttributeField(null),
+                                                dexterity:    creatureAttributeField(null),
+                                                constitution: creatureAttributeField(null),
+                                                intelligence: creatureAttributeField(null),
+                                                wisdom:       creatureAttributeField(null),
+                                                charisma:     creatureAttributeField(null)}));
+}
+
+/**
+ * Generates a field for a non-negative integer value.
+ */
+export function positiveIntegerField(initial=0) {
+    return(new foundry.data.fields.NumberField({initial: initial, integer: true, min: 0, nullable: false, required: true}));
+}
+
+/**
+ * Generates the rarity field used by equipment, consumables and weapons.
+ */
+export function rarityField() {
+    return(new foundry.data.fields.StringField({initial: "common", required: true}));
+}
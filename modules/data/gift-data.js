@@ -0,0 +1,13 @@
+import {descriptionField} from './fields.js';
+
+/**
+ * The data model for gift items.
+ */
+export default class GiftData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({description: descriptionField(),
+                power:       new fields.StringField({initial: "balance"})});
+    }
+}
@@ -0,0 +1,11 @@
+/**
+ * The data model for origin items. Each background entry is stored as a JSON
+ * encoded string.
+ */
+export default class OriginData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({backgrounds: new fields.ArrayField(new fields.StringField())});
+    }
+}
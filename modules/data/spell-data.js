@@ -0,0 +1,13 @@
+import {descriptionField} from './fields.js';
+
+/**
+ * The data model for spell items.
+ */
+export default class SpellData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({description: descriptionField(),
+                state:       new fields.StringField({initial: "available"})});
+    }
+}
@@ -0,0 +1,10 @@
+import {descriptionField} from './fields.js';
+
+/**
+ * The data model for spirit items.
+ */
+export default class SpiritData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        return({description: descriptionField()});
+    }
+}
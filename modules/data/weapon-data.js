@@ -0,0 +1,26 @@
+import {BSHConfiguration} from '../configuration.js';
+import {damageTypeField, descriptionField, rarityField} from './fields.js';
+
+/**
+ * The data model for weapon items. The properties are flags for each of the
+ * weapon properties and loaded records whether a weapon with the loading
+ * property is ready to fire. Ranged weapons can have the id of a consumable
+ * owned by the same actor as their ammunition.
+ */
+export default class WeaponData extends foundry.abstract.TypeDataModel {
+    static defineSchema() {
+        const fields = foundry.data.fields;
+
+        return({ammunition:  new fields.StringField({initial: ""}),
+                damageType:  damageTypeField(),
+                description: descriptionField(),
+                hands:       new fields.NumberField({initial: 1, integer: true, max: 2, min: 1, nullable: false, required: true}),
+                loaded:      new fields.BooleanField({initial: true}),
+                properties:  new fields.SchemaField(Object.keys(BSHConfiguration.weaponProperties).reduce((flags, property) => {
+                                 flags[property] = new fields.BooleanField({initial: false});
+                                 return(flags);
+                             }, {})),
+                rarity:      rarityField(),
+                type:        new fields.StringField({initial: "melee"})});
+    }
+}
@@ -0,0 +1,158 @@
+import {describeThreat} from '../threat.js';
+import {RollModifiers} from './roll_modifiers.js';
+
+/**
+ * The roll class used for all of the system dice rolls. A BSHRoll is a
+ * standard Foundry roll that also knows how its result should be judged.
+ *
+ * Rolls created via BSHRoll.test() are roll under tests against a target
+ * value. A natural 1 on the d20 is always a critical success and a natural 20
+ * always a critical failure. Otherwise the test succeeds if the total, which
+ * includes any adjustment and Threat Level, is less than the target.
+ *
+ * Rolls created via BSHRoll.die() are rolls of a single die type where higher
+ * is better, such as usage dice, doom dice and damage dice. A usage roll (one
+ * with the usage option set) succeeds on a 3 or more.
+ *
+ * Whether a roll is made with advantage or disadvantage is decided by a stack
+ * of roll modifiers (see RollModifiers). The modifiers option holds the
+ * entries already on the stack, to which the rollType option ("standard",
+ * "advantage" or "disadvantage") and the doomed option add. For tests
+ * advantage keeps the lowest of two d20s, for other rolls it keeps the
+ * highest of two dice. The resolved stack is stored in the modifiers option
+ * of the roll so that the sources can be listed alongside the result.
+ */
+export class BSHRoll extends Roll {
+    /**
+     * Builds the roll modifier stack for a set of roll options. Recognised
+     * options are modifiers (a RollModifiers or a list of its entries),
+     * rollType and doomed.
+     */
+    static getModifiers(options={}) {
+        let modifiers = new RollModifiers(options.modifiers || []);
+
+        modifiers.addRollType(options.rollType);
+        if(options.doomed && !modifiers.has("doom")) {
+            modifiers.add("doom", "disadvantage");
+        }
+        return(modifiers);
+    }
+
+    /**
+     * Works out the kind of roll ("standard", "advantage" or "disadvantage")
+     * that should be made for a set of roll options.
+     */
+    static getRollKind(options={}) {
+        return(this.getModifiers(options).resolve());
+    }
+
+    /**
+     * Generates the formula for a roll under test. Recognised options are
+     * modifiers, rollType, doomed, adjustment and threat.
+     */
+    static getTestFormula(options={}) {
+        let kind       = this.getRollKind(options);
+        let adjustment = (parseInt(options.adjustment) || 0);
+        let threat     = (parseInt(options.threat) || 0);
+        let formula    = (kind === "advantage" ? "2d20kl" : (kind === "disadvantage" ? "2d20kh" : "1d20"));
+
+        if(adjustment !== 0) {
+            formula = `${formula}${adjustment < 0 ? "-" : "+"}${Math.abs(adjustment)}`;
+        }
+        if(threat > 0) {
+            formula = `${formula}+${threat}`;
+        }
+        return(formula);
+    }
+
+    /**
+     * Generates the formula for a roll of a single die type where a higher
+     * result is better. Recognised options are modifiers, rollType and doomed.
+     */
+    static getDieFormula(die, options={}) {
+        let kind = this.getRollKind(options);
+
+        return(kind === "advantage" ? `2${die}kh` : (kind === "disadvantage" ? `2${die}kl` : `1${die}`));
+    }
+
+    /**
+     * Creates a roll under test against a target value. Recognised options are
+     * target, modifiers, rollType, doomed, adjustment and threat.
+     */
+    static test(options={}) {
+        let settings = this.settle(options);
+
+        return(new this(this.getTestFormula(settings), {}, Object.assign(settings, {test: true})));
+    }
+
+    /**
+     * Creates a roll for a single die type (e.g. "d6") where a higher result is
+     * better. Recognised options are modifiers, rollType, doomed and usage.
+     */
+    static die(die, options={}) {
+        let settings = this.settle(options);
+
+        return(new this(this.getDieFormula(die, settings), {}, Object.assign(settings, {die: die})));
+    }
+
+    /**
+     * Resolves the roll modifiers for a set of roll options, returning a copy
+     * of the options where the modifiers option holds the full stack and the
+     * mode option the net roll mode. The rollType option is folded into the
+     * stack and removed.
+     */
+    static settle(options={}) {
+        let modifiers = this.getModifiers(options);
+
+        return(Object.assign({}, options, {mode:      modifiers.resolve(),
+                                           modifiers: modifiers.toJSON(),
+                                           rollType:  "standard"}));
+    }
+
+    /**
+     * The natural result of the kept die from the first dice term.
+     */
+    get natural() {
+        return(this.dice.length > 0 ? this.dice[0].total : null);
+    }
+
+    get isCriticalFailure() {
+        return(!!this.options.test && this.natural === 20);
+    }
+
+    get isCriticalSuccess() {
+        return(!!this.options.test && this.natural === 1);
+    }
+
+    /**
+     * Whether the roll was a success. This is null for rolls that are neither
+     * tests nor usage rolls.
+     */
+    get isSuccess() {
+        if(this.options.test) {
+            return(this.isCriticalSuccess || (!this.isCriticalFailure && this.total < this.options.target));
+        } else if(this.options.usage) {
+            return(this.total >= 3);
+        }
+        return(null);
+    }
+
+    /**
+     * Returns a summary of the evaluated roll, including the roll modifiers
+     * that applied to it. For tests this also includes the critical flags and
+     * the effect that threat had on the outcome.
+     */
+    getOutcome() {
+        let outcome = {formula:   this.formula,
+                       modifiers: (this.options.modifiers || []),
+                       result:    this.total,
+                       success:   this.isSuccess};
+
+        if(this.options.test) {
+            outcome.critical = {failure: this.isCriticalFailure, success: this.isCriticalSuccess};
+            outcome.target   = this.options.target;
+            outcome.threat   = describeThreat(parseInt(this.options.threat) || 0, this.total, this.options.target);
+        }
+        return(outcome);
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * A stack of the advantages and disadvantages that apply to a roll. Each entry
+ * records its source (one of "doom", "effect", "key", "shield", "spell",
+ * "status" or "summoning"), a label naming that source for display and its
+ * mode, which is either "advantage" or "disadvantage".
+ *
+ * The stack resolves to a single roll mode using the BSH cancel-out rule. Each
+ * advantage cancels out one disadvantage and vice versa. Whatever remains
+ * decides the mode, with any number of remaining advantages (or disadvantages)
+ * giving a single advantage (or disadvantage).
+ */
+export class RollModifiers {
+    constructor(entries=[]) {
+        if(entries instanceof RollModifiers) {
+            entries = entries.entries;
+        }
+        this.entries = entries.map((entry) => Object.assign({}, entry));
+    }
+
+    /**
+     * Adds an entry to the stack. If a label is not given then a default one
+     * for the source is used. Returns the stack so that calls can be chained.
+     */
+    add(source, mode, label=null) {
+        if(mode === "advantage" || mode === "disadvantage") {
+            this.entries.push({label:  (label || game.i18n.localize(`bsh.rolls.modifiers.sources.${source}`)),
+                               mode:   mode,
+                               source: source});
+        }
+        return(this);
+    }
+
+    /**
+     * Adds the entries for the shift (advantage) and ctrl (disadvantage) key
+     * modifiers on a roll.
+     */
+    addKeys(shiftKey, ctrlKey) {
+        if(shiftKey) {
+            this.add("key", "advantage");
+        }
+        if(ctrlKey) {
+            this.add("key", "disadvantage");
+        }
+        return(this);
+    }
+
+    /**
+     * Adds the entry for a roll type requested by the user ("advantage",
+     * "disadvantage" or "standard").
+     */
+    addRollType(rollType) {
+        return(this.add("key", rollType));
+    }
+
+    /**
+     * Returns true if the stack holds at least one entry for a given source.
+     */
+    has(source) {
+        return(this.entries.some((entry) => entry.source === source));
+    }
+
+    /**
+     * Resolves the stack to a net roll mode of "advantage", "disadvantage" or
+     * "standard".
+     */
+    resolve() {
+        let balance = this.entries.reduce((total, entry) => total + (entry.mode === "advantage" ? 1 : -1), 0);
+
+        return(balance > 0 ? "advantage" : (balance < 0 ? "disadvantage" : "standard"));
+    }
+
+    toJSON() {
+        return(this.entries.map((entry) => Object.assign({}, entry)));
+    }
+}
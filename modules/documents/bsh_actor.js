@@ -1,6 +1,34 @@
 export class BSHActor extends Actor {
+    /**
+     * Returns true if the actor is a character and their doom die is exhausted
+     * or if the actor has the Doomed status effect.
+     */
+    get isDoomed() {
+        return((this.type === "character" && this.system.doom === "exhausted") || this.statuses.has("doomed"));
+    }
+
+    /**
+     * Returns the actors level. For characters this is derived from their
+     * stories when the actor is prepared.
+     */
+    get level() {
+        return(this.system.level);
+    }
+
     /** @override */
     prepareData() {
         super.prepareData();
     }
+
+    /** @override */
+    getRollData() {
+        let data = super.getRollData();
+
+        if(this.system.calculated) {
+            Object.keys(this.system.calculated).forEach((key) => {
+                data[key.substring(0, 3)] = this.system.calculated[key];
+            });
+        }
+        return(data);
+    }
 }
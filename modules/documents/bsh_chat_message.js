@@ -0,0 +1,33 @@
+export class BSHChatMessage extends ChatMessage {
+    /**
+     * Core replaces the entire content of a roll message that the current
+     * user is not allowed to see (e.g. a blind roll made by a player). For
+     * BSH chat cards only the parts of the card marked with the
+     * bsh-roll-result class are hidden, so that the player can still see
+     * what was rolled for.
+     * @override
+     */
+    async _renderRollContent(messageData) {
+        let element = document.createElement("div");
+
+        element.innerHTML = messageData.message.content;
+        if(!this.isContentVisible && element.querySelector(".bsh-roll-result")) {
+            let hidden = document.createElement("p");
+
+            hidden.classList.add("bsh-roll-hidden");
+            hidden.textContent = game.i18n.localize("bsh.messages.labels.resultHidden");
+            element.querySelectorAll(".bsh-roll-result").forEach((node, index) => {
+                if(index === 0) {
+                    node.replaceWith(hidden);
+                } else {
+                    node.remove();
+                }
+            });
+
+            messageData.isWhisper       = false;
+            messageData.message.content = element.innerHTML;
+        } else {
+            await super._renderRollContent(messageData);
+        }
+    }
+}
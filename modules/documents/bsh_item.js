@@ -1,6 +1,40 @@
 export class BSHItem extends Item {
+    /**
+     * Returns true if the item has a usage die.
+     */
+    get hasUsageDie() {
+        return(!!this.system.usageDie);
+    }
+
+    /**
+     * Returns the die the item currently uses for its usage die rolls, taking
+     * into account that a current setting of "^" indicates the maximum die.
+     * Returns null if the item does not have a usage die.
+     */
+    get usageDie() {
+        let die = null;
+
+        if(this.hasUsageDie) {
+            die = this.system.usageDie.current;
+            if(!die || die === "^") {
+                die = this.system.usageDie.maximum;
+            }
+        }
+        return(die);
+    }
+
     /** @override */
     prepareData() {
         super.prepareData();
     }
+
+    /** @override */
+    getRollData() {
+        let data = super.getRollData();
+
+        if(this.actor) {
+            data.actor = this.actor.getRollData();
+        }
+        return(data);
+    }
 }
@@ -1,14 +1,19 @@
 import {BSHConfiguration} from './configuration.js';
+import {BSHRoll} from './dice/bsh_roll.js';
 import {calculateCharacterData, downgradeDie, getActorById, interpolate, rollEm} from './shared.js';
+import {setStatusEffect} from './status_effects.js';
 
 /**
  * This function makes a doom role for a specified actor, downgrading the actors
  * doom die as appropriate and returning an object detailing the results of the
- * roll. The function accepts a second parameter to indicate whether the roll
- * should be made with "advantage", "disadvantage" or just a "standard" single
- * die roll (the default).
+ * roll (including the roll itself). The function accepts a second parameter
+ * to indicate whether the roll should be made with "advantage",
+ * "disadvantage" or just a "standard" single die roll (the default) and an
+ * optional third parameter holding a stack of roll modifiers that also apply
+ * to the roll. Returns a promise that yields the result once the actor has
+ * been updated or null if the actors doom die is exhausted.
  */
-export function rollDoom(actor, rollType="standard") {
+export function rollDoom(actor, rollType="standard", modifiers=null) {
     let result    = {die: {ending: null,
                            starting: null},
                      downgraded: false,
@@ -18,23 +23,16 @@ export function rollDoom(actor, rollType="standard") {
     result.die.starting = result.die.ending = actorData.doom;
     if(actorData.doom !== "exhausted") {
         let data      = {system: {doom: actorData.doom}};
-        let dice;
-
+        let dice      = BSHRoll.die(actorData.doom, {modifiers: modifiers, rollType: rollType, usage: true});
 
         result.die.starting = actorData.doom;
         result.rolled       = true;
-        if(rollType === "advantage") {
-            dice = new Roll(`2${actorData.doom}kh`);
-        } else if(rollType === "disadvantage") {
-            dice = new Roll(`2${actorData.doom}kl`);
-        } else {
-            dice = new Roll(`1${actorData.doom}`);
-        }
-
-        return(rollEm(dice).then((roll) => {
-                    result.formula = roll.formula;
-                    result.result  = roll.total;
-                    if(roll.total < 3) {
+        return(rollEm(dice).then(async (roll) => {
+                    result.formula   = roll.formula;
+                    result.modifiers = roll.options.modifiers;
+                    result.result    = roll.total;
+                    result.roll      = roll;
+                    if(!roll.isSuccess) {
                         let newDie = downgradeDie(actorData.doom);
 
                         result.downgraded = true;
@@ -44,20 +42,24 @@ export function rollDoom(actor, rollType="standard") {
                             ui.notifications.warn(interpolate("bsh.messages.doom.failExhausted", {name: actor.name}));
                         }
                     } else {
-                        result.die.ending = actor.doom;
+                        result.die.ending = actorData.doom;
+                    }
+                    await actor.update(data, {diff: true});
+                    if(result.die.ending === "exhausted") {
+                        await setStatusEffect(actor, "doomed", true);
                     }
-                    actor.update(data, {diff: true});
                     return(result);
                 }));
     } else {
         console.error(`Unable to roll doom for ${actor.name} as their doom die is exhausted.`);
         ui.notifications.error(interpolate("bsh.messages.doom.exhausted", {name: actor.name}));
+        return(Promise.resolve(null));
     }
 }
 
 /**
  * Sets the actors Doom die to be exhausted and tweaks a few other elements
- * that are tied to Doom.
+ * that are tied to Doom, including switching on the Doomed status effect.
  */
 export async function exhaustDoomDie(actor) {
     if(typeof actor === "string") {
@@ -69,16 +71,18 @@ export async function exhaustDoomDie(actor) {
                                 summoning: {demon: "unavailable",
                                             spirit: "unavailable"}}};
 
-        actor.update(updates, {diff: true});
+        await actor.update(updates, {diff: true});
+        await setStatusEffect(actor, "doomed", true);
     } else {
         console.error("Unable to find the specified actor to exhaust their Doom die.");
     }
 }
 
 /**
- * Resets a characters Doom Die to it's normal maximum level.
+ * Resets a characters Doom Die to it's normal maximum level and removes the
+ * Doomed status effect.
  */
-export function resetDoomDie(actor) {
+export async function resetDoomDie(actor) {
     if(typeof actor === "string") {
         actor = getActorById(actor);
     }
@@ -91,7 +95,8 @@ export function resetDoomDie(actor) {
         if(actor.level > 9) {
             updates.system.doom = "d8";
         }
-        actor.update(updates, {diff: true});
+        await actor.update(updates, {diff: true});
+        await setStatusEffect(actor, "doomed", false);
     } else {
         console.error("Unable to find the specified actor to reset their Doom die.");
     }
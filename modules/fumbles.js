@@ -0,0 +1,114 @@
+import {BSHConfiguration} from './configuration.js';
+
+/**
+ * This module handles the fumble tables that are drawn from when a roll goes
+ * badly wrong. There is a table for each of the categories listed in the
+ * fumble tables configuration (attack, defence, spell and summoning). The
+ * table used for a category is set by a world setting that holds the UUID
+ * or name of a RollTable. If the setting is blank the default table from the
+ * system compendium is used instead.
+ */
+
+/**
+ * Returns the name of the world setting that holds the table for a fumble
+ * category.
+ */
+function getSettingName(category) {
+    return(`${category}FumbleTable`);
+}
+
+/**
+ * Registers the world settings for the fumble tables. This must be called
+ * during system initialization.
+ */
+export function registerFumbleSettings() {
+    game.settings.register("black-sword-hack", "drawFumbleTables", {config:  true,
+                                                                    default: true,
+                                                                    hint:    game.i18n.localize("bsh.settings.options.drawFumbleTables.blurb"),
+                                                                    name:    game.i18n.localize("bsh.settings.options.drawFumbleTables.title"),
+                                                                    scope:   "world",
+                                                                    type:    Boolean});
+
+    Object.keys(BSHConfiguration.fumbleTables).forEach((category) => {
+        game.settings.register("black-sword-hack", getSettingName(category), {config:  true,
+                                                                               default: "",
+                                                                               hint:    game.i18n.localize("bsh.settings.options.fumbleTable.blurb"),
+                                                                               name:    game.i18n.localize(`bsh.settings.options.fumbleTable.titles.${category}`),
+                                                                               scope:   "world",
+                                                                               type:    String});
+    });
+}
+
+/**
+ * Locates the RollTable for a fumble category. Returns a promise that yields
+ * the table or null if it can't be found.
+ */
+export async function getFumbleTable(category) {
+    let setting = `${game.settings.get("black-sword-hack", getSettingName(category)) || ""}`.trim();
+    let table   = null;
+
+    if(setting !== "") {
+        table = (game.tables.getName(setting) || await fromUuid(setting).catch(() => null));
+        if(!table) {
+            console.warn(`Unable to locate the '${setting}' fumble table for ${category}s, using the default table instead.`);
+        }
+    }
+
+    if(!table && BSHConfiguration.fumbleTables[category]) {
+        table = await fromUuid(BSHConfiguration.fumbleTables[category]);
+    }
+
+    return(table instanceof RollTable ? table : null);
+}
+
+/**
+ * Draws from a fumble table without posting the result to chat. Returns a
+ * promise that yields null if the draw fails (for example because the user
+ * can't mark a result as drawn on a table without replacement) or the table
+ * has no results left to draw.
+ */
+async function drawFromTable(table) {
+    let draw = await table.draw({displayChat: false}).catch((error) => {
+                   console.error(`Unable to draw from the '${table.name}' fumble table.`, error);
+                   return(null);
+               });
+
+    if(draw && draw.results.length > 0) {
+        return({roll:  draw.roll,
+                table: table.name,
+                text:  draw.results.map((result) => result.getChatText()).join(" ")});
+    }
+    return(null);
+}
+
+/**
+ * Draws from the fumble table for a category without posting the result to
+ * chat. If the draw from a configured table fails the default table for the
+ * category is drawn from instead. Returns a promise that yields null if
+ * fumble tables are switched off, the table can't be found or nothing could
+ * be drawn. Otherwise it yields an object containing the table name, the text
+ * for the result drawn and the roll made.
+ */
+export async function drawFumble(category) {
+    let result = null;
+    let table;
+
+    if(!game.settings.get("black-sword-hack", "drawFumbleTables")) {
+        return(null);
+    }
+
+    table = await getFumbleTable(category);
+    if(table) {
+        result = await drawFromTable(table);
+        if(!result && BSHConfiguration.fumbleTables[category] && table.uuid !== BSHConfiguration.fumbleTables[category]) {
+            let fallback = await fromUuid(BSHConfiguration.fumbleTables[category]).catch(() => null);
+
+            if(fallback instanceof RollTable) {
+                result = await drawFromTable(fallback);
+            }
+        }
+    } else {
+        console.error(`Unable to locate a fumble table for ${category}s.`);
+    }
+    return(result);
+}
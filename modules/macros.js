@@ -0,0 +1,121 @@
+import {BSH_API} from './api.js';
+import {interpolate} from './shared.js';
+
+/**
+ * The item types for which hotbar macros can be created.
+ */
+const MACRO_ITEM_TYPES = ["consumable", "demon", "spell", "spirit", "weapon"];
+
+/**
+ * Works out the roll type for a macro based on the modifier keys held down
+ * when it was run. Shift gives advantage and Ctrl disadvantage, as on the
+ * character sheet.
+ */
+function getMacroRollType() {
+    if(game.keyboard.isModifierActive(KeyboardManager.MODIFIER_KEYS.SHIFT)) {
+        return("advantage");
+    } else if(game.keyboard.isModifierActive(KeyboardManager.MODIFIER_KEYS.CONTROL)) {
+        return("disadvantage");
+    }
+    return("standard");
+}
+
+/**
+ * Creates (or reuses) a script macro owned by the current user and assigns it
+ * to a hotbar slot.
+ */
+async function assignMacro(name, img, command, slot) {
+    let macro = game.macros.find((entry) => entry.name === name &&
+                                            entry.command === command &&
+                                            entry.isOwner);
+
+    if(!macro) {
+        macro = await Macro.create({command: command,
+                                    flags:   {"black-sword-hack": {hotbarMacro: true}},
+                                    img:     img,
+                                    name:    name,
+                                    type:    "script"});
+    }
+    await game.user.assignHotbarMacro(macro, slot);
+    return(macro);
+}
+
+/**
+ * Hook function for drops onto the hotbar. Handles owned weapons, spells,
+ * demons, spirits and consumables dragged from a character sheet along with
+ * the attribute test icons. Returns false for drops that it handles so that
+ * the core handling does not also take place.
+ */
+export function onHotbarDrop(hotbar, data, slot) {
+    if(data.type === "Item" && data.uuid) {
+        let item = fromUuidSync(data.uuid);
+
+        if(item && item.actor && MACRO_ITEM_TYPES.includes(item.type)) {
+            assignMacro(`${item.actor.name}: ${item.name}`,
+                        item.img,
+                        `game.bsh.macros.rollItem("${item.uuid}");`,
+                        slot);
+            return(false);
+        }
+    } else if(data.type === "bsh.attribute") {
+        let actor = fromUuidSync(data.actorUuid);
+
+        if(actor) {
+            let title = game.i18n.localize(`bsh.fields.titles.dieRolls.attributes.${data.attribute}`);
+
+            assignMacro(`${actor.name}: ${title}`,
+                        "icons/svg/d20-black.svg",
+                        `game.bsh.macros.rollAttribute("${actor.uuid}", "${data.attribute}");`,
+                        slot);
+            return(false);
+        }
+    }
+}
+
+/**
+ * Runs the macro for an attribute test, resolving the actor from its UUID.
+ */
+export async function rollAttributeMacro(actorUuid, attribute) {
+    let actor = await fromUuid(actorUuid);
+
+    if(!actor) {
+        console.error(`Unable to locate an actor with the UUID '${actorUuid}' for a macro.`);
+        ui.notifications.error(game.i18n.localize("bsh.errors.actors.notFound"));
+        return(null);
+    }
+    return(BSH_API.testAttribute(actor, attribute, {rollType: getMacroRollType()}));
+}
+
+/**
+ * Runs the macro for an owned item, resolving the item from its UUID. The
+ * action taken depends on the type of the item.
+ */
+export async function rollItemMacro(itemUuid) {
+    let item    = await fromUuid(itemUuid);
+    let options = {rollType: getMacroRollType()};
+
+    if(!item || !item.actor || !MACRO_ITEM_TYPES.includes(item.type)) {
+        console.error(`Unable to locate an owned item with the UUID '${itemUuid}' for a macro.`);
+        ui.notifications.error(game.i18n.localize("bsh.errors.items.owned.notFound"));
+        return(null);
+    }
+
+    if(!item.isOwner) {
+        ui.notifications.warn(interpolate("bsh.errors.macros.notOwner", {name: item.name}));
+        return(null);
+    }
+
+    switch(item.type) {
+        case "consumable":
+            return(BSH_API.rollUsageDie(item, options));
+
+        case "spell":
+            return(BSH_API.cast(item, options));
+
+        case "weapon":
+            return(BSH_API.attack(item.actor, item, options));
+
+        default:
+            return(BSH_API.summon(item, options));
+    }
+}
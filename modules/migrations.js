@@ -1,165 +1,109 @@
 import {CLASSIC_ORIGIN_MAP} from './constants.js';
+import {interpolate} from './shared.js';
 
 /**
- * Update character birth options if they are just a reference to a localized
- * text entry.
+ * Generates the update for a character whose birth place is just a reference
+ * to a localized text entry.
  */
-async function updateCharacterBirthPlaces() {
-    game.actors.forEach((actor) => {
-        if(actor.type === "character") {
-            console.log(`Attempting birthplace migration for '${actor.name}' (id: ${actor.id}).`);
-            if(actor.system.birth.startsWith("bsh.births")) {
-                actor.update({system: {birth: game.i18n.localize(actor.system.birth)}}, {diff: true});
-            }
-        }
-    });
+function migrateCharacterBirthPlace(actor) {
+    if(actor.type === "character" && `${actor.system.birth}`.startsWith("bsh.births")) {
+        return({system: {birth: game.i18n.localize(actor.system.birth)}});
+    }
+    return(null);
 }
 
 /**
- * This migration upgrades character backgrounds from being a simple string to
- * one based on an origin id and background index.
+ * Generates the update that upgrades character backgrounds from being a simple
+ * string to one based on an origin id and background index.
  */
-async function updateClassicCharacterBackgrounds() {
-    if(!game.settings.get("black-sword-hack", "customOrigins")) {
-    	game.actors.forEach((actor) => {
-    		if(actor.type === "character") {
-    			let first  = `${actor.system.backgrounds.first}`.trim();
-    			let second = `${actor.system.backgrounds.second}`.trim();
-    			let third  = `${actor.system.backgrounds.third}`.trim();
-
-                console.log(`Attempting classic background migration for '${actor.name}' (id: ${actor.id}).`);
-    			if(typeof actor.system.backgrounds.first === "string" ||
-    			   typeof actor.system.backgrounds.second === "string" ||
-    			   typeof actor.system.backgrounds.third === "string") {
-                    let updatable = true;
-    				let updates   = {system: {
-    					                    backgrounds: {first: first, second: second, third:  third}
-    					                }
-    					            };
-
-                    Object.values(actor.system.backgrounds).forEach((name) => {
-                        if(name.trim() !== "") {
-                            let match = `${name}`.trim().match(/^(barbarian|civilized|decadent)#(.*)/);
-
-                        	if(!match) {
-                                let origin = CLASSIC_ORIGIN_MAP[name.trim()];
-                                if(!origin) {
-                                    console.error(`Unable to migrate the '${name}' background for character id '${actor.id}' (${actor.name}).`);
-                                    updatable = false;
-                                }
-                            }
-                        }
-                    });
-
-                    if(updatable) {
-                        if(first !== "" && typeof actor.system.backgrounds.first === "string" && CLASSIC_ORIGIN_MAP[first]) {
-                            let key = `${CLASSIC_ORIGIN_MAP[first].id}#${CLASSIC_ORIGIN_MAP[first].key}`
+function migrateClassicCharacterBackgrounds(actor) {
+    let updates = null;
 
-                        	console.log(`Migrating '${actor.system.backgrounds.first}' to`, key);
-                        	updates.system.backgrounds.first = key;
-                        }
+    if(actor.type === "character" && !game.settings.get("black-sword-hack", "customOrigins")) {
+        let backgrounds = actor.system.backgrounds;
+        let updatable   = true;
+        let changes     = {};
 
-                        if(second !== "" && typeof actor.system.backgrounds.second === "string" && CLASSIC_ORIGIN_MAP[second]) {
-                            let key = `${CLASSIC_ORIGIN_MAP[first].id}#${CLASSIC_ORIGIN_MAP[second].key}`;
+        ["first", "second", "third"].forEach((field) => {
+            let name = `${backgrounds[field]}`.trim();
 
-                        	console.log(`Migrating '${actor.system.backgrounds.second}' to`, key);
-                        	updates.system.backgrounds.second = key;
-                        }
+            if(name !== "" && !name.match(/^(barbarian|civilized|decadent)#(.*)/)) {
+                let origin = CLASSIC_ORIGIN_MAP[name];
 
-                        if(third !== "" && typeof actor.system.backgrounds.third === "string" && CLASSIC_ORIGIN_MAP[third]) {
-                            let key = `${CLASSIC_ORIGIN_MAP[first].id}#${CLASSIC_ORIGIN_MAP[third].key}`;
-
-                        	console.log(`Migrating '${actor.system.backgrounds.third}' to`, key);
-                        	updates.system.backgrounds.third = key;
-                        }
+                if(origin) {
+                    changes[field] = `${origin.id}#${origin.key}`;
+                    console.log(`Migrating '${name}' to`, changes[field]);
+                } else {
+                    console.error(`Unable to migrate the '${name}' background for character id '${actor.id}' (${actor.name}).`);
+                    updatable = false;
+                }
+            }
+        });
 
-                        actor.update(updates, {diff: true});
-                    }
-    			}
-    		}
-    	});
+        if(updatable && Object.keys(changes).length > 0) {
+            updates = {system: {backgrounds: changes}};
+        }
     }
-}
 
-/**
- * Update the background for every custom origin to given them unique keys.
- */
-async function updateOriginBackgrounds() {
-    game.items.forEach((item) => {
-        if(item.type === "origin") {
-            console.log(`Attempting background key migration for '${item.name}' (id: ${item.id}).`);
-            let backgrounds = item.system.backgrounds.map((e) => JSON.parse(e));
-
-            backgrounds.forEach((background) => {
-                if(background.key.split("#").length < 2) {
-                    console.log(`Updating background key for '${background.name}' from '${background.key}' to '${item.id}#${background.key}'.`);
-                    background.key = `${item.id}#${background.key}`;
-                }
-            });
-            backgrounds = backgrounds.map((e) => JSON.stringify(e));
-            item.update({system: {backgrounds: backgrounds}}, {diff: true});
-        }
-    });
+    return(updates);
 }
 
 /**
- * Update characters created under the custom origins option so that they have
- * the correct background keys.
+ * Generates the update for characters created under the custom origins option
+ * so that they have the correct background keys.
  */
-async function updateNewCharacterBackgrounds() {
-    if(game.settings.get("black-sword-hack", "customOrigins")) {
-        game.actors.forEach((actor) => {
-            if(actor.type === "character") {
-                let backgrounds = actor.system.backgrounds;
-                let key;
-                let pattern     = /[^#]+#(.*)/;
-                let match;
-                let updates     = {system: {backgrounds: Object.assign({}, backgrounds)}}
-
-                console.log(`Attempting new background migration for '${actor.name}' (id: ${actor.id}).`);
-                key = (backgrounds.first.key ? backgrounds.first.key : backgrounds.first);
-                match = key.match(pattern);
-                if(!match) {
-                    let newKey = getNewBackgroundKey(key);
-
-                    if(newKey) {
-                        console.log(`Updating the '${key}' background key to '${newKey}'.`);
-                        updates.system.backgrounds.first = newKey;
-                    } else {
-                        console.error(`Unable to migrate the '${key}' for actor id '${actor.id}' (${actor.name}).`);
-                    }
-                }
+function migrateNewCharacterBackgrounds(actor) {
+    let updates = null;
 
-                key = (backgrounds.second.key ? backgrounds.second.key : backgrounds.second);
-                match = key.match(pattern);
-                if(!match) {
-                    let newKey = getNewBackgroundKey(key);
+    if(actor.type === "character" && game.settings.get("black-sword-hack", "customOrigins")) {
+        let backgrounds = actor.system.backgrounds;
+        let changes     = {};
 
-                    if(newKey) {
-                        console.log(`Updating the '${key}' background key to '${newKey}'.`);
-                        updates.system.backgrounds.second = newKey;
-                    } else {
-                        console.error(`Unable to migrate the '${key}' for actor id '${actor.id}' (${actor.name}).`);
-                    }
-                }
+        ["first", "second", "third"].forEach((field) => {
+            let key = (backgrounds[field].key ? backgrounds[field].key : backgrounds[field]);
 
-                key = (backgrounds.third.key ? backgrounds.third.key : backgrounds.third);
-                match = key.match(pattern);
-                if(!match) {
-                    let newKey = getNewBackgroundKey(key);
+            if(key !== "" && !key.match(/[^#]+#(.*)/)) {
+                let newKey = getNewBackgroundKey(key);
 
-                    if(newKey) {
-                        console.log(`Updating the '${key}' background key to '${newKey}'.`);
-                        updates.system.backgrounds.third = newKey;
-                    } else {
-                        console.error(`Unable to migrate the '${key}' for actor id '${actor.id}' (${actor.name}).`);
-                    }
+                if(newKey) {
+                    console.log(`Updating the '${key}' background key to '${newKey}'.`);
+                    changes[field] = newKey;
+                } else {
+                    console.error(`Unable to migrate the '${key}' for actor id '${actor.id}' (${actor.name}).`);
                 }
+            }
+        });
+
+        if(Object.keys(changes).length > 0) {
+            updates = {system: {backgrounds: changes}};
+        }
+    }
+
+    return(updates);
+}
 
-                actor.update(updates, {diff: true});
+/**
+ * Generates the update that gives the backgrounds for a custom origin unique
+ * keys.
+ */
+function migrateOriginBackgrounds(item) {
+    if(item.type === "origin") {
+        let changed     = false;
+        let backgrounds = item.system.backgrounds.map((e) => JSON.parse(e));
+
+        backgrounds.forEach((background) => {
+            if(background.key.split("#").length < 2) {
+                console.log(`Updating background key for '${background.name}' from '${background.key}' to '${item.id}#${background.key}'.`);
+                background.key = `${item.id}#${background.key}`;
+                changed        = true;
             }
         });
+
+        if(changed) {
+            return({system: {backgrounds: backgrounds.map((e) => JSON.stringify(e))}});
+        }
     }
+    return(null);
 }
 
 function getNewBackgroundKey(oldKey) {
@@ -181,12 +125,214 @@ function getNewBackgroundKey(oldKey) {
     return(newKey);
 }
 
-function runMigrations() {
-    console.log("Running migrations...");
-    updateOriginBackgrounds();
-    updateClassicCharacterBackgrounds();
-    updateNewCharacterBackgrounds();
-    updateCharacterBirthPlaces();
+/**
+ * The registry of system migrations, in the order they are to be run. Each
+ * entry has the system version that introduced it and either an actor or an
+ * item function (or both). These functions are passed a document and return
+ * the update data for that document or null if no update is needed. They
+ * must be safe to run more than once against the same document.
+ */
+const MIGRATIONS = [
+    {item:    migrateOriginBackgrounds,
+     name:    "Custom origin background keys",
+     version: "1.2.11"},
+    {actor:   migrateClassicCharacterBackgrounds,
+     name:    "Classic character backgrounds",
+     version: "1.2.11"},
+    {actor:   migrateNewCharacterBackgrounds,
+     name:    "Custom origin character backgrounds",
+     version: "1.2.11"},
+    {actor:   migrateCharacterBirthPlace,
+     name:    "Character birth places",
+     version: "1.2.11"}
+];
+
+/**
+ * Returns the list of migrations that have not yet been run for a world that
+ * was last migrated under a given system version.
+ */
+function getPendingMigrations(version) {
+    return(MIGRATIONS.filter((migration) => !version || foundry.utils.isNewerVersion(migration.version, version)));
+}
+
+/**
+ * Applies a migration function to a list of documents, returning a list of
+ * the resulting update data (with document ids added) and recording any
+ * failures in the summary passed in.
+ */
+function generateUpdates(documents, migrate, summary) {
+    let updates = [];
+
+    documents.forEach((document) => {
+        try {
+            let data = migrate(document);
+
+            if(data) {
+                updates.push(Object.assign(data, {_id: document.id}));
+            }
+        } catch(error) {
+            console.error(`Migration of '${document.name}' (id: ${document.id}) failed.`, error);
+            summary.failures.push(document.name);
+        }
+    });
+
+    return(updates);
+}
+
+/**
+ * Applies a set of updates as a single batch, recording any failure in the
+ * summary passed in.
+ */
+async function applyUpdates(documentClass, updates, options, summary) {
+    if(updates.length > 0) {
+        try {
+            await documentClass.updateDocuments(updates, Object.assign({diff: true}, options));
+            summary.updated += updates.length;
+        } catch(error) {
+            console.error(`Failed to apply a batch of ${updates.length} ${documentClass.documentName} migration updates.`, error);
+            summary.failures.push(...updates.map((update) => update._id));
+        }
+    }
+}
+
+/**
+ * Runs a single migration against a list of actors, including the items
+ * they own.
+ */
+async function migrateActors(actors, migration, options, summary) {
+    if(migration.actor) {
+        await applyUpdates(Actor, generateUpdates(actors, migration.actor, summary), options, summary);
+    }
+
+    if(migration.item) {
+        for(let actor of actors) {
+            let updates = generateUpdates(actor.items, migration.item, summary);
+
+            if(updates.length > 0) {
+                await applyUpdates(Item, updates, Object.assign({parent: actor}, options), summary);
+            }
+        }
+    }
+}
+
+/**
+ * Runs a single migration against the world actors and items.
+ */
+async function migrateWorld(migration, summary) {
+    await migrateActors(game.actors.contents, migration, {}, summary);
+    if(migration.item) {
+        await applyUpdates(Item, generateUpdates(game.items.contents, migration.item, summary), {}, summary);
+    }
+}
+
+/**
+ * Runs a single migration against the actors for all unlinked tokens in the
+ * world scenes.
+ */
+async function migrateTokenActors(migration, summary) {
+    for(let scene of game.scenes) {
+        for(let token of scene.tokens) {
+            if(!token.actorLink && token.actor) {
+                let actor = token.actor;
+
+                if(migration.actor) {
+                    let updates = generateUpdates([actor], migration.actor, summary);
+
+                    if(updates.length > 0) {
+                        try {
+                            await actor.update(updates[0], {diff: true});
+                            summary.updated++;
+                        } catch(error) {
+                            console.error(`Migration of the actor for token '${token.name}' (id: ${token.id}) failed.`, error);
+                            summary.failures.push(token.name);
+                        }
+                    }
+                }
+
+                if(migration.item) {
+                    await applyUpdates(Item, generateUpdates(actor.items, migration.item, summary), {parent: actor}, summary);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Runs a single migration against the contents of the world compendium packs
+ * that hold actors or items. Locked packs are unlocked for the duration of the
+ * migration.
+ */
+async function migratePacks(migration, summary) {
+    let packs = game.packs.filter((pack) => pack.metadata.packageType === "world" &&
+                                            ["Actor", "Item"].includes(pack.documentName));
+
+    for(let pack of packs) {
+        let locked = pack.locked;
+
+        try {
+            if(locked) {
+                await pack.configure({locked: false});
+            }
+
+            let documents = await pack.getDocuments();
+
+            if(pack.documentName === "Actor") {
+                await migrateActors(documents, migration, {pack: pack.collection}, summary);
+            } else if(migration.item) {
+                await applyUpdates(Item, generateUpdates(documents, migration.item, summary), {pack: pack.collection}, summary);
+            }
+        } catch(error) {
+            console.error(`Migration of the '${pack.collection}' compendium failed.`, error);
+            summary.failures.push(pack.title);
+        } finally {
+            if(locked) {
+                await pack.configure({locked: true});
+            }
+        }
+    }
+}
+
+/**
+ * Runs all of the migrations that have not yet been applied to the world and
+ * records the current system version as the world migration version if they
+ * all succeed. Only the GM runs migrations.
+ */
+async function runMigrations() {
+    if(game.user.isGM) {
+        let version    = game.settings.get("black-sword-hack", "systemMigrationVersion");
+        let migrations = getPendingMigrations(version);
+        let summary    = {failures: [], updated: 0};
+
+        if(migrations.length > 0) {
+            console.log(`Running ${migrations.length} migrations...`);
+            ui.notifications.info(interpolate("bsh.migrations.starting", {version: game.system.version}), {permanent: true});
+
+            for(let i = 0; i < migrations.length; i++) {
+                let migration = migrations[i];
+
+                console.log(`Running the '${migration.name}' migration (version ${migration.version}).`);
+                SceneNavigation.displayProgressBar({label: interpolate("bsh.migrations.progress", {name: migration.name}),
+                                                    pct:   Math.round((i / migrations.length) * 100)});
+                await migrateWorld(migration, summary);
+                await migrateTokenActors(migration, summary);
+                await migratePacks(migration, summary);
+            }
+            SceneNavigation.displayProgressBar({label: game.i18n.localize("bsh.migrations.finished"), pct: 100});
+
+            if(summary.failures.length > 0) {
+                console.error("The following documents failed to migrate:", summary.failures);
+                ui.notifications.error(interpolate("bsh.migrations.failures", {count: summary.failures.length}), {permanent: true});
+            } else {
+                ui.notifications.info(interpolate("bsh.migrations.complete", {count: summary.updated}), {permanent: true});
+            }
+        }
+
+        // Failed migrations are retried on the next load, which is safe as
+        // every migration is idempotent.
+        if(summary.failures.length === 0) {
+            await game.settings.set("black-sword-hack", "systemMigrationVersion", game.system.version);
+        }
+    }
 }
 
 export {runMigrations};
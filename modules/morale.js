@@ -0,0 +1,187 @@
+import {logMoraleCheck} from './chat_messages.js';
+import {interpolate} from './shared.js';
+import {setStatusEffect} from './status_effects.js';
+
+/**
+ * This module handles creature morale. A morale check is a test against a
+ * creatures morale score and, when it fails, the creature can be marked as
+ * defeated or as having fled (depending on the "moraleFailure" setting). A
+ * creature in combat automatically checks its morale the first time its hit
+ * points drop below half of what they were when it joined the combat and when
+ * the leader of its group is lost. A creatures group is made up of the other
+ * creatures in the same combat whose tokens share its disposition. A leader is
+ * lost when its hit points drop to zero or its combatant is marked defeated.
+ */
+
+/**
+ * Registers the world settings for morale. This must be called during system
+ * initialization.
+ */
+export function registerMoraleSettings() {
+    game.settings.register("black-sword-hack", "automaticMorale", {config:  true,
+                                                                   default: true,
+                                                                   hint:    game.i18n.localize("bsh.settings.options.automaticMorale.blurb"),
+                                                                   name:    game.i18n.localize("bsh.settings.options.automaticMorale.title"),
+                                                                   scope:   "world",
+                                                                   type:    Boolean});
+
+    game.settings.register("black-sword-hack", "moraleFailure", {choices: {defeated: game.i18n.localize("bsh.settings.options.moraleFailure.choices.defeated"),
+                                                                           fled:     game.i18n.localize("bsh.settings.options.moraleFailure.choices.fled"),
+                                                                           none:     game.i18n.localize("bsh.settings.options.moraleFailure.choices.none")},
+                                                                 config:  true,
+                                                                 default: "none",
+                                                                 hint:    game.i18n.localize("bsh.settings.options.moraleFailure.blurb"),
+                                                                 name:    game.i18n.localize("bsh.settings.options.moraleFailure.title"),
+                                                                 scope:   "world",
+                                                                 type:    String});
+}
+
+/**
+ * Returns the combatant for an actor in a combat, or undefined if the actor
+ * is not taking part in the combat.
+ */
+function getCombatant(actor, combat=game.combat) {
+    return(combat ? combat.combatants.find((combatant) => combatant.actor && combatant.actor.uuid === actor.uuid) : undefined);
+}
+
+/**
+ * Returns the other creature combatants in the same group as a combatant.
+ */
+function getGroup(combatant) {
+    let disposition = (combatant.token ? combatant.token.disposition : null);
+
+    return(combatant.combat.combatants.filter((other) => other.id !== combatant.id &&
+                                                         other.actor && other.actor.type === "creature" &&
+                                                         (other.token ? other.token.disposition : null) === disposition));
+}
+
+/**
+ * Applies the consequence of a failed morale check to a creature, which
+ * depends on the "moraleFailure" setting. A creature that flees gets the fled
+ * status effect while one that is defeated gets the core defeated status
+ * effect. Either way the creatures combatant (if any) is marked as defeated.
+ */
+async function applyMoraleFailure(actor, consequence) {
+    let combatant = getCombatant(actor);
+
+    if(consequence === "fled") {
+        await setStatusEffect(actor, "fled", true);
+    } else if(consequence === "defeated") {
+        await actor.toggleStatusEffect(CONFIG.specialStatusEffects.DEFEATED, {active: true, overlay: true});
+    }
+
+    if(combatant && !combatant.defeated) {
+        await combatant.update({defeated: true});
+    }
+}
+
+/**
+ * Makes a morale check for a creature, posting the result to chat and
+ * applying the consequences if the check fails. Recognised options are reason
+ * (the localization key for why the check was made), rollMode and chat.
+ * Returns a promise that yields the roll details or null if the actor is not
+ * a creature.
+ */
+export async function checkMorale(actor, options={}) {
+    let consequence = game.settings.get("black-sword-hack", "moraleFailure");
+    let result;
+
+    if(actor.type !== "creature") {
+        console.error(`Unable to make a morale check for '${actor.name}' as it is not a creature.`);
+        ui.notifications.error(interpolate("bsh.errors.morale.notCreature", {name: actor.name}));
+        return(null);
+    }
+
+    result = await logMoraleCheck(actor, Object.assign({}, options, {consequence: (consequence !== "none" ? `bsh.morale.consequences.${consequence}` : null)}));
+    if(!result.success && consequence !== "none") {
+        await applyMoraleFailure(actor, consequence);
+    }
+
+    return(result);
+}
+
+/**
+ * Makes a morale check for each of the creatures in the group of a leader
+ * that has been lost. A leader can only be lost once per combat.
+ */
+async function onLeaderLost(combatant) {
+    if(!combatant.flags.bsh || !combatant.flags.bsh.leaderLost) {
+        await combatant.update({"flags.bsh.leaderLost": true});
+        for(let member of getGroup(combatant)) {
+            if(!member.defeated) {
+                await checkMorale(member.actor, {reason: "bsh.morale.reasons.leaderLost"});
+            }
+        }
+    }
+}
+
+/**
+ * Hook function for combatant creation that records the hit points that a
+ * creature joins the combat with.
+ */
+export function onCombatantPreCreate(combatant, data, options, userId) {
+    if(combatant.actor && combatant.actor.type === "creature") {
+        combatant.updateSource({"flags.bsh.hitPoints": combatant.actor.system.hitPoints});
+    }
+}
+
+/**
+ * Hook function for combatant updates that treats a leader being marked as
+ * defeated as the loss of that leader.
+ */
+export function onCombatantUpdated(combatant, changes, options, userId) {
+    if(userId === game.user.id && changes.defeated === true && game.settings.get("black-sword-hack", "automaticMorale")) {
+        if(combatant.actor && combatant.actor.type === "creature" && combatant.actor.system.leader) {
+            onLeaderLost(combatant).catch((error) => console.error(`Morale checks for the loss of '${combatant.name}' failed.`, error));
+        }
+    }
+}
+
+/**
+ * Hook function for actor updates that triggers automatic morale checks for
+ * creatures in the current combat. A creature checks its morale the first
+ * time its hit points drop below half of those it joined the combat with and
+ * a leader dropping to zero hit points makes the rest of its group check
+ * their morale.
+ */
+export function onCreatureUpdated(actor, changes, options, userId) {
+    if(userId === game.user.id && actor.type === "creature" && changes.system && changes.system.hitPoints !== undefined) {
+        let combatant = getCombatant(actor);
+
+        if(combatant && !combatant.defeated && game.settings.get("black-sword-hack", "automaticMorale")) {
+            let flags     = (combatant.flags.bsh || {});
+            let hitPoints = actor.system.hitPoints;
+
+            if(hitPoints <= 0) {
+                if(actor.system.leader) {
+                    onLeaderLost(combatant).catch((error) => console.error(`Morale checks for the loss of '${actor.name}' failed.`, error));
+                }
+            } else if(flags.hitPoints && !flags.wounded && hitPoints * 2 < flags.hitPoints) {
+                combatant.update({"flags.bsh.wounded": true})
+                         .then(() => checkMorale(actor, {reason: "bsh.morale.reasons.wounded"}))
+                         .catch((error) => console.error(`The morale check for wounded creature '${actor.name}' failed.`, error));
+            }
+        }
+    }
+}
+
+/**
+ * Hook function that adds a check morale option to the context menu for
+ * creature combatants in the combat tracker.
+ */
+export function onGetCombatTrackerEntryContext(html, options) {
+    options.push({callback:  (li) => {
+                                 let combatant = ui.combat.viewed.combatants.get(li.data("combatant-id"));
+
+                                 if(combatant && combatant.actor) {
+                                     checkMorale(combatant.actor).catch((error) => console.error(`The morale check for '${combatant.actor.name}' failed.`, error));
+                                 }
+                             },
+                  condition: (li) => {
+                                 let combatant = (ui.combat.viewed ? ui.combat.viewed.combatants.get(li.data("combatant-id")) : null);
+
+                                 return(!!(combatant && combatant.actor && combatant.actor.type === "creature" && combatant.actor.isOwner));
+                             },
+                  icon:      '<i class="fas fa-flag"></i>',
+                  name:      "bsh.morale.check"});
+}
@@ -0,0 +1,186 @@
+import {logAttackRoll,
+        logAttributeTest,
+        logDodgeRoll,
+        logInitiativeTest,
+        logParryRoll,
+        logPerceptionTest} from './chat_messages.js';
+import {rollDoom} from './doom.js';
+import RollDialog from './roll_dialog.js';
+import {interpolate} from './shared.js';
+
+/**
+ * Returns the details of the test recorded on a chat message, or null if the
+ * message is not for a test.
+ */
+function getTestDetails(message) {
+    return((message && message.flags.bsh && message.flags.bsh.test) || null);
+}
+
+/**
+ * Returns true if pushing a test requires a doom roll for a given actor. Only
+ * characters have a doom die.
+ */
+function pushCostsDoom(actor) {
+    return(actor.type === "character" && game.settings.get("black-sword-hack", "pushCost") === "doom");
+}
+
+/**
+ * Pushes an initiative test. If the original test was made for a combatant
+ * then the combatants initiative is updated to match the new result so that
+ * the combat tracker agrees with the chat log.
+ */
+async function pushInitiativeTest(actor, test, keys, options) {
+    let result    = await logInitiativeTest(actor, keys.shiftKey, keys.ctrlKey, options);
+    let combat    = (test.combatId ? game.combats.get(test.combatId) : null);
+    let combatant = (combat ? combat.combatants.get(test.combatantId) : null);
+
+    if(combatant) {
+        await combat.applyInitiativeResult(combatant, result);
+    } else if(test.combatId) {
+        console.warn(`Unable to locate combatant '${test.combatantId}' to update for a pushed initiative test.`);
+    }
+    return(result);
+}
+
+/**
+ * Makes a test again for the test recorded on a chat message, which must have
+ * failed, not already have been pushed and be owned by the current user. If
+ * the "pushCost" setting is "doom" then a character must make a doom roll to
+ * push the test and can't push it at all if their doom die is exhausted. The
+ * settings are those yielded by the roll dialog (adjustment, rollMode,
+ * rollType and threat) with the adjustment and threat defaulting to those of
+ * the original test. The new test is posted to chat as a card that links back
+ * to the original message. Returns a promise that yields the roll details for
+ * the new test or null if the test could not be pushed.
+ */
+export async function pushTest(message, settings={}) {
+    let test = getTestDetails(message);
+    let actor;
+    let doom = null;
+    let keys;
+    let options;
+
+    if(!test) {
+        console.error("Push requested for a chat message that is not a test.");
+        return(null);
+    }
+
+    if(test.success) {
+        ui.notifications.error(game.i18n.localize("bsh.errors.push.succeeded"));
+        return(null);
+    }
+
+    if(test.pushed) {
+        ui.notifications.error(game.i18n.localize("bsh.errors.push.alreadyPushed"));
+        return(null);
+    }
+
+    // Only the owner of a message can record that it has been pushed, so
+    // anyone else could otherwise push it again and again.
+    if(!message.isOwner) {
+        ui.notifications.error(game.i18n.localize("bsh.errors.push.notMessageOwner"));
+        return(null);
+    }
+
+    actor = await fromUuid(test.actorUuid);
+    if(!actor) {
+        console.error(`Unable to locate the actor '${test.actorUuid}' to push a test for.`);
+        return(null);
+    }
+
+    if(!actor.isOwner) {
+        ui.notifications.error(game.i18n.localize("bsh.errors.push.notOwner"));
+        return(null);
+    }
+
+    if(pushCostsDoom(actor)) {
+        if(actor.system.doom === "exhausted") {
+            ui.notifications.error(interpolate("bsh.errors.push.doomExhausted", {name: actor.name}));
+            return(null);
+        }
+        doom = await rollDoom(actor, "standard");
+    }
+
+    await message.update({"flags.bsh.test.pushed": true});
+
+    keys    = {ctrlKey:  (settings.rollType === "disadvantage"),
+               shiftKey: (settings.rollType === "advantage")};
+    options = {adjustment:  (settings.adjustment === undefined ? test.adjustment : settings.adjustment),
+               attackMode:  test.attackMode,
+               fumbleTable: test.fumbleTable,
+               pushed:      {doom: doom, messageId: message.id},
+               rollMode:    settings.rollMode,
+               target:      test.target,
+               threat:      (settings.threat === undefined ? test.threat : settings.threat)};
+
+    switch(test.kind) {
+        case "attack":
+            return(logAttackRoll(actor, actor.items.get(test.weaponId), keys.shiftKey, keys.ctrlKey, false, options));
+
+        case "attribute":
+            return(logAttributeTest(actor, test.attribute, keys.shiftKey, keys.ctrlKey, false, options.adjustment, options.threat, options));
+
+        case "dodge":
+            return(logDodgeRoll(actor, keys.shiftKey, keys.ctrlKey, options.threat, options));
+
+        case "initiative":
+            return(pushInitiativeTest(actor, test, keys, options));
+
+        case "parry":
+            return(logParryRoll(actor, keys.shiftKey, keys.ctrlKey, options.threat, options));
+
+        case "perception":
+            return(logPerceptionTest(actor, keys.shiftKey, keys.ctrlKey, options));
+
+        default:
+            console.error(`Unable to push a test of unrecognised kind '${test.kind}'.`);
+            return(null);
+    }
+}
+
+/**
+ * Event handler for the push button on failed test chat cards. This always
+ * displays the roll dialog so that the roll type and visibility for the new
+ * test can be chosen.
+ */
+export async function onPushRollClicked(event) {
+    let button   = event.currentTarget;
+    let element  = button.closest("[data-message-id]");
+    let message  = (element ? game.messages.get(element.dataset.messageId) : null);
+    let test     = getTestDetails(message);
+    let settings;
+
+    event.preventDefault();
+    if(test) {
+        settings = await RollDialog.prompt({adjustment: test.adjustment,
+                                            label:      message.speaker.alias,
+                                            test:       true,
+                                            threat:     test.threat,
+                                            title:      game.i18n.localize("bsh.messages.titles.pushRoll")});
+        if(settings && await pushTest(message, settings)) {
+            button.disabled = true;
+        }
+    } else {
+        console.error("Push requested but unable to locate the owning chat message.");
+    }
+
+    return(false);
+}
+
+/**
+ * Event handler for the link on a pushed test chat card that scrolls the chat
+ * log to the original test message.
+ */
+export function onPushedLinkClicked(event) {
+    let element = event.currentTarget;
+    let target  = document.querySelector(`#chat-log [data-message-id="${element.dataset.message}"]`);
+
+    event.preventDefault();
+    if(target) {
+        target.scrollIntoView({behavior: "smooth", block: "center"});
+    } else {
+        ui.notifications.warn(game.i18n.localize("bsh.errors.push.originalMissing"));
+    }
+
+    return(false);
+}
@@ -3,9 +3,10 @@ import {calculateCharacterData, interpolate} from './shared.js';
 import {resetSpellStatesForActor} from './spells.js';
 
 /**
- * This function applies the benefits of a long rest to a character.
+ * This function applies the benefits of a long rest to a character. Returns a
+ * promise that yields the characters hit points and doom die after the rest.
  */
-export function takeLongRest(character) {
+export async function takeLongRest(character) {
     let data    = character.system;
     let updates = {system: {}}
 
@@ -26,19 +27,21 @@ export function takeLongRest(character) {
         }
     }
 
-    resetSpellStatesForActor(character.id);
-    resetDoomDie(character);
+    await resetSpellStatesForActor(character.id);
+    await resetDoomDie(character);
 
     if(Object.keys(updates.system).length > 0) {
-        character.update(updates, {diff: true});
+        await character.update(updates, {diff: true});
     }
     ui.notifications.notify(interpolate("bsh.messages.rests.longRest", {name: character.name}));
+    return({currentHitPoints: character.system.currentHitPoints, doom: character.system.doom});
 }
 
 /**
- * This function applies the benefits of a long rest to a character.
+ * This function applies the benefits of a short rest to a character. Returns a
+ * promise that yields the characters hit points after the rest.
  */
-export function takeShortRest(character) {
+export async function takeShortRest(character) {
     let data    = character.system;
     let updates = {system: {}};
 
@@ -48,11 +51,11 @@ export function takeShortRest(character) {
         if(updates.system.currentHitPoints > data.maximumHitPoints) {
             updates.system.currentHitPoints = data.maximumHitPoints;
         }
-        character.update(updates, {diff: true});
     }
 
     if(Object.keys(updates.system).length > 0) {
-        character.update(updates, {diff: true});
+        await character.update(updates, {diff: true});
     }
     ui.notifications.notify(interpolate("bsh.messages.rests.shortRest", {name: character.name}));
+    return({currentHitPoints: character.system.currentHitPoints});
 }
@@ -0,0 +1,174 @@
+/**
+ * A dialog that allows the settings for a roll to be adjusted before it is
+ * made. The roll type and the visibility of the roll (its roll mode) can be
+ * chosen for every roll. Tests also allow the Threat Level and a bonus or
+ * penalty to be set and attacks with weapons that can be used in more than
+ * one way allow the attack mode to be chosen.
+ *
+ * Use RollDialog.prompt() to display the dialog. This returns a promise that
+ * yields the chosen settings or null if the dialog was cancelled.
+ */
+export default class RollDialog extends Dialog {
+    constructor(settings, resolve) {
+        let buttons = {cancel: {callback: () => this._resolve(null),
+                                label:    game.i18n.localize("bsh.buttons.cancel")},
+                       rollIt: {callback: () => this._resolve(this.rollSettings),
+                                label:    game.i18n.localize("bsh.buttons.rollIt")}};
+
+        super(Object.assign({}, settings, {buttons: buttons,
+                                           close:   () => this._resolve(null),
+                                           default: "rollIt"}));
+        this._resolver = resolve;
+        this._settings = settings;
+    }
+
+    activateListeners(html) {
+        html.find('select[name="attackMode"]').on("change", this._onAttackModeChanged.bind(this));
+        html.find('input[name="threat"]').on("change", this._onThreatChanged.bind(this));
+        html.find('input[name="adjustment"]').on("change", this._onAdjustmentChanged.bind(this));
+        super.activateListeners(html);
+    }
+
+    get attackMode() {
+        let field = this.element[0].querySelector('select[name="attackMode"]');
+
+        return(field ? field.value : (this._settings.attackMode || "standard"));
+    }
+
+    get adjustment() {
+        let field = this.element[0].querySelector('input[name="adjustment"]');
+
+        return(field ? (parseInt(field.value) || 0) : 0);
+    }
+
+    get rollMode() {
+        return(this.element[0].querySelector('select[name="rollMode"]').value);
+    }
+
+    get rollSettings() {
+        return({adjustment: this.adjustment,
+                attackMode: this.attackMode,
+                rollMode:   this.rollMode,
+                rollType:   this.rollType,
+                threat:     this.threat});
+    }
+
+    get rollType() {
+        return(this.element[0].querySelector('select[name="type"]').value);
+    }
+
+    get threat() {
+        let field = this.element[0].querySelector('input[name="threat"]');
+
+        return(field ? Math.max(parseInt(field.value) || 0, 0) : 0);
+    }
+
+    _onAdjustmentChanged(event) {
+        if(event.currentTarget.value.trim() === "") {
+            event.currentTarget.value = 0;
+        }
+    }
+
+    /**
+     * Updates the score displayed to match the newly selected attack mode
+     * when the attack modes test different scores.
+     */
+    _onAttackModeChanged(event) {
+        let field = this.element[0].querySelector(".bsh-roll-score");
+
+        if(field && this._settings.scores) {
+            field.textContent = this._settings.scores[event.currentTarget.value];
+        }
+    }
+
+    _onThreatChanged(event) {
+        if(event.currentTarget.value.trim() !== "") {
+            let value = parseInt(event.currentTarget.value);
+
+            if(value < 0) {
+                event.currentTarget.value = 0;
+            }
+        } else {
+            event.currentTarget.value = 0;
+        }
+    }
+
+    /**
+     * Passes the outcome of the dialog to whoever is waiting on it. Only the
+     * first outcome counts, so closing the dialog after a button has been
+     * clicked has no effect.
+     */
+    _resolve(result) {
+        if(this._resolver) {
+            this._resolver(result);
+            this._resolver = null;
+        }
+    }
+
+    /**
+     * Displays the dialog, returning a promise that yields the chosen roll
+     * settings (adjustment, attackMode, rollMode, rollType and threat) or null
+     * if the dialog was cancelled. Recognised settings are title, label (the
+     * name of the thing being rolled), score (the value being tested against),
+     * test (set to true to allow threat and adjustment to be entered),
+     * attackModes (an object mapping the attack modes for a weapon to their
+     * localization keys), scores (an object mapping the attack modes to the
+     * value each tests against, used in place of score), adjustment,
+     * attackMode, threat, rollMode and rollType.
+     */
+    static prompt(settings={}) {
+        let rollModes = {};
+        let modes     = (settings.attackModes || {});
+        let mode      = (settings.attackMode || "standard");
+        let data      = {adjustment:    (settings.adjustment || 0),
+                         attackMode:    mode,
+                         attackModes:   (Object.keys(modes).length > 1 ? modes : null),
+                         configuration: CONFIG.configuration,
+                         label:         (settings.label || settings.title),
+                         rollMode:      (settings.rollMode || game.settings.get("core", "rollMode")),
+                         rollModes:     rollModes,
+                         score:         (settings.scores ? settings.scores[mode] : settings.score),
+                         test:          !!settings.test,
+                         threat:        (settings.threat || 0),
+                         type:          (settings.rollType || "standard")};
+
+        Object.entries(CONFIG.Dice.rollModes).forEach(([mode, entry]) => {
+            rollModes[mode] = (typeof entry === "string" ? entry : entry.label);
+        });
+
+        return(renderTemplate("systems/black-sword-hack/templates/roll-modal.html", data)
+                   .then((content) => new Promise((resolve) => {
+                             new RollDialog({content: content, scores: settings.scores, title: settings.title}, resolve).render(true);
+                         })));
+    }
+}
+
+/**
+ * Works out the settings for a roll requested by clicking on something. If
+ * the "rollDialog" client setting is "always" the roll dialog is always
+ * shown. Otherwise it is only shown if the shift, ctrl or alt key was held
+ * down. When the dialog is shown, shift preselects advantage and ctrl
+ * preselects disadvantage. The settings are as for RollDialog.prompt(). The
+ * event may be null. Returns a promise that yields the roll settings or null
+ * if the roll was cancelled.
+ */
+export function getRollSettings(event, settings={}) {
+    let modified = !!(event && (event.shiftKey || event.ctrlKey || event.altKey));
+
+    if(modified || game.settings.get("black-sword-hack", "rollDialog") === "always") {
+        let rollType = (settings.rollType || "standard");
+
+        if(event && event.shiftKey) {
+            rollType = "advantage";
+        } else if(event && event.ctrlKey) {
+            rollType = "disadvantage";
+        }
+        return(RollDialog.prompt(Object.assign({}, settings, {rollType: rollType})));
+    }
+
+    return(Promise.resolve({adjustment: (settings.adjustment || 0),
+                            attackMode: (settings.attackMode || "standard"),
+                            rollMode:   (settings.rollMode || game.settings.get("core", "rollMode")),
+                            rollType:   (settings.rollType || "standard"),
+                            threat:     (settings.threat || 0)}));
+}
@@ -1,11 +1,14 @@
 import { BSHConfiguration } from './configuration.js';
-import AttributeTestDialog from './attribute_test_dialog.js';
+import { BSHRoll } from './dice/bsh_roll.js';
+import { getRollSettings } from './roll_dialog.js';
+import { calculateThreat } from './threat.js';
 import {
   logAttackRoll,
   logAttributeTest,
   logDieRoll,
   logItemUsageDieRoll
 } from './chat_messages.js';
+import { getAttackAttribute, getAttackModes, isTwoHandedAttack, isWeaponReady } from './weapons.js';
 
 /**
  * Retrieves an actor from the game list of actors based on its unique identifier.
@@ -123,6 +126,13 @@ export function calculateAttributeValues(data, configuration) {
     }
   });
 
+  // Active effects adjust attribute values via the modifiers field.
+  if (data.modifiers && data.modifiers.attributes) {
+    Object.keys(calculated).forEach(key => {
+      calculated[key] += (parseInt(data.modifiers.attributes[key]) || 0);
+    });
+  }
+
   Object.keys(calculated).forEach(key => {
     if (calculated[key] > 18) {
       calculated[key] = 18;
@@ -142,7 +152,10 @@ export function calculateMaximumHitPoints(context, level) {
   } else {
     total += 9;
   }
-  return total;
+  if (context.modifiers) {
+    total += (parseInt(context.modifiers.maximumHitPoints) || 0);
+  }
+  return Math.max(total, 1);
 }
 
 /**
@@ -189,6 +202,21 @@ export function downgradeDie(die) {
   return newDie;
 }
 
+/**
+ * Moves a damage die up (or, for a negative number of steps, down) the die
+ * path by a number of steps. Damage dice never go above a d12 or below a d4.
+ */
+export function upgradeDie(die, steps = 1) {
+  const path = ['d4', 'd6', 'd8', 'd10', 'd12'];
+  let index = path.indexOf(die);
+
+  if (index < 0 || !steps) {
+    return die;
+  }
+  index = Math.min(Math.max(index + steps, 0), path.length - 1);
+  return path[index];
+}
+
 /**
  * Generates a string containing the formula for a single die based on the set of options passed in.
  * Recognized options include dieType (defaults to d20) and kind ('standard', 'advantage', 'disadvantage').
@@ -233,20 +261,24 @@ export function generateDieRollFormula(options = {}) {
 
 /**
  * Generates a string containing a formula for a damage dice roll.
- * Recognized options include critical (true/false) and doomed (true/false).
+ * Recognized options include critical (true/false), doomed (true/false) and
+ * mode (the attack mode, which decides whether the weapon is used two handed).
  */
 export function generateDamageRollFormula(actor, weapon, options = {}) {
   let formula = null;
   let dieType = null;
 
+  // Prefer the damage dice derived with active effect modifiers applied.
+  const dice = actor.system.currentDamageDice || actor.system.damageDice;
+
   if (weapon.system.type !== 'unarmed') {
-    dieType = actor.system.damageDice.armed;
+    dieType = dice.armed;
   } else {
-    dieType = actor.system.damageDice.unarmed;
+    dieType = dice.unarmed;
   }
 
   formula = options.doomed ? `2${dieType}kl` : `1${dieType}`;
-  if (weapon.system.hands > 1) {
+  if (isTwoHandedAttack(weapon, options.mode)) {
     if (options.doomed) {
       formula = `1${dieType}`;
     } else {
@@ -260,7 +292,8 @@ export function generateDamageRollFormula(actor, weapon, options = {}) {
 }
 
 /**
- * This function provides functionality for rolling attribute tests (including advantage/disadvantage).
+ * This function provides functionality for rolling attribute tests, displaying the roll dialog
+ * to allow the roll type, threat, bonus/penalty and visibility of the roll to be chosen.
  */
 export async function handleRollAttributeDieEvent(event) {
   const element = event.currentTarget;
@@ -268,18 +301,24 @@ export async function handleRollAttributeDieEvent(event) {
   if (element.dataset.actor) {
     const actor = getActorById(element.dataset.actor);
     if (actor) {
-      if (event.altKey) {
-        const attribute = element.dataset.attribute;
-        let rollType = 'standard';
-        const title = game.i18n.localize(`bsh.rolls.tests.${attribute}.title`);
-        if (event.shiftKey) {
-          rollType = 'advantage';
-        } else if (event.ctrlKey) {
-          rollType = 'disadvantage';
-        }
-        showAttributeRollModal(actor, attribute, title, { rollType });
-      } else {
-        logAttributeTest(actor, element.dataset.attribute, event.shiftKey, event.ctrlKey);
+      const attribute = element.dataset.attribute;
+      const settings = await getRollSettings(event, {
+        label: game.i18n.localize(`bsh.attributes.${attribute}.long`),
+        score: calculateAttributeValues(actor.system, BSHConfiguration)[attribute],
+        test: true,
+        threat: calculateThreat(actor),
+        title: game.i18n.localize(`bsh.rolls.tests.${attribute}.title`)
+      });
+
+      if (settings) {
+        logAttributeTest(actor,
+                         attribute,
+                         settings.rollType === 'advantage',
+                         settings.rollType === 'disadvantage',
+                         false,
+                         settings.adjustment,
+                         settings.threat,
+                         { rollMode: settings.rollMode });
       }
     } else {
       console.error(
@@ -302,7 +341,16 @@ export async function handleRollDieEvent(event) {
   const actor = game.actors.find(a => a.id === element.dataset.id);
   const title = game.i18n.localize(`bsh.fields.titles.dieRolls.${element.dataset.type}`);
   event.preventDefault();
-  logDieRoll(actor, element.dataset.die, title, event.shiftKey, event.ctrlKey);
+
+  const settings = await getRollSettings(event, { label: element.dataset.die, title: title });
+  if (settings) {
+    logDieRoll(actor,
+               element.dataset.die,
+               title,
+               settings.rollType === 'advantage',
+               settings.rollType === 'disadvantage',
+               { rollMode: settings.rollMode });
+  }
   return false;
 }
 
@@ -323,7 +371,7 @@ export async function handleRollUsageDieEvent(event) {
   }
 }
 
-function handleActorUsageDieRollEvent(event) {
+async function handleActorUsageDieRollEvent(event) {
   const element = event.currentTarget;
   const actor = game.actors.find(a => a.id === element.dataset.actor);
   event.preventDefault();
@@ -332,10 +380,18 @@ function handleActorUsageDieRollEvent(event) {
       const usageDie = getObjectField(element.dataset.die, actor.system);
       if (usageDie) {
         if (usageDie !== 'exhausted') {
+          const settings = await getRollSettings(event, {
+            label: usageDie,
+            title: game.i18n.localize('bsh.messages.titles.usageDieRoll')
+          });
           let message = '';
-          rollEm(new Roll(`1${usageDie}`)).then(async roll => {
-            await roll.toMessage({ speaker: ChatMessage.getSpeaker(), user: game.user.id });
-            if (roll.total < 3) {
+
+          if (!settings) {
+            return false;
+          }
+          rollEm(BSHRoll.die(usageDie, { rollType: settings.rollType, usage: true })).then(async roll => {
+            await roll.toMessage({ speaker: ChatMessage.getSpeaker(), user: game.user.id }, { rollMode: settings.rollMode });
+            if (!roll.isSuccess) {
               const newDie = downgradeDie(usageDie);
               const data = setObjectField(element.dataset.die, newDie);
               actor.update(data, { diff: true });
@@ -350,11 +406,11 @@ function handleActorUsageDieRollEvent(event) {
             } else {
               message = game.i18n.localize('bsh.messages.usageDie.unchanged');
             }
-            ChatMessage.create({
+            ChatMessage.create(ChatMessage.applyRollMode({
               content: message,
               speaker: ChatMessage.getSpeaker(),
               user: game.user.id
-            });
+            }, settings.rollMode));
           });
         } else {
           console.warn(
@@ -385,7 +441,18 @@ async function handleItemUsageDieRollEvent(event) {
   event.preventDefault();
   if (item) {
     if (element.dataset.die) {
-      logItemUsageDieRoll(item, element.dataset.die, event.shiftKey, event.ctrlKey);
+      const settings = await getRollSettings(event, {
+        label: item.name,
+        title: game.i18n.localize('bsh.messages.titles.usageDieRoll')
+      });
+
+      if (settings) {
+        logItemUsageDieRoll(item,
+                            element.dataset.die,
+                            settings.rollType === 'advantage',
+                            settings.rollType === 'disadvantage',
+                            { rollMode: settings.rollMode });
+      }
     } else {
       console.error(
         'Usage die roll requested but requesting element has no die path attribute.'
@@ -406,7 +473,33 @@ export async function handleWeaponRollEvent(event) {
     const weapon = getOwnedItemById(element.dataset.item);
     if (weapon) {
       if (weapon.actor) {
-        logAttackRoll(weapon.actor.id, weapon.id, event.shiftKey, event.ctrlKey);
+        if (!isWeaponReady(weapon)) {
+          return false;
+        }
+
+        const attributes = calculateAttributeValues(weapon.actor.system, BSHConfiguration);
+        const attackModes = getAttackModes(weapon);
+        const scores = {};
+
+        Object.keys(attackModes).forEach(mode => scores[mode] = attributes[getAttackAttribute(weapon, mode)]);
+
+        const settings = await getRollSettings(event, {
+          attackModes: attackModes,
+          label: weapon.name,
+          scores: scores,
+          test: true,
+          threat: calculateThreat(weapon.actor),
+          title: game.i18n.localize('bsh.messages.titles.attackRoll')
+        });
+
+        if (settings) {
+          logAttackRoll(weapon.actor,
+                        weapon,
+                        settings.rollType === 'advantage',
+                        settings.rollType === 'disadvantage',
+                        false,
+                        settings);
+        }
       } else {
         console.error(
           `Unable to make a weapon attack roll for weapon id '${weapon.id}' as it is not an owned item.`
@@ -536,15 +629,12 @@ export function onInfoIconClicked(event) {
 }
 
 /**
- * A function to encapsulate integration with the Dice So Nice module. Takes a Roll instance,
- * evaluates it (asynchronously), shows the dice on screen if available, and returns the Roll.
+ * Evaluates a Roll instance (asynchronously) and returns it. Rolls are shown by dice modules
+ * such as Dice So Nice when the chat message they are attached to is created, so rolls that
+ * are to be seen must be attached to a chat message (see showMessage()).
  */
 export async function rollEm(dice) {
-  const roll = await dice.evaluate();
-  if (game.dice3d) {
-    game.dice3d.showForRoll(roll);
-  }
-  return roll;
+  return dice.evaluate();
 }
 
 /**
@@ -581,10 +671,3 @@ export function stringToKey(text) {
 export function capitalize(text) {
   return `${text.substring(0, 1).toUpperCase()}${text.substring(1)}`;
 }
-
-/**
- * Displays a dialog that allows for manual control over an attribute test roll.
- */
-export async function showAttributeRollModal(actor, attribute, title, options = {}) {
-  AttributeTestDialog.build(actor, attribute, options).then(dialog => dialog.render(true));
-}
@@ -1,3 +1,5 @@
+import {onManageActiveEffect,
+        prepareActiveEffects} from '../active_effects.js';
 import {randomizeCharacter} from '../characters.js';
 import {CLASSIC_ORIGINS} from '../constants.js';
 import {initializeCollapsibles} from '../collapsible.js';
@@ -13,6 +15,7 @@ import {getCharacterBackgrounds,
         getCustomOrigins} from '../origins.js';
 import {takeLongRest,
         takeShortRest} from '../rests.js';
+import {getRollSettings} from '../roll_dialog.js';
 import {calculateCharacterData,
 	    decrementItemQuantity,
 	    getActorById,
@@ -25,16 +28,22 @@ import {calculateCharacterData,
 	    incrementItemQuantity,
 	    onInfoIconClicked,
 	    resetItemUsageDie,
-	    showAttributeRollModal,
 	    stringToKey} from '../shared.js';
 import {castSpell,
         resetSpellState,
         resetSpellStatesForActor} from '../spells.js';
+import {hasStatusEffect,
+        setStatusEffect} from '../status_effects.js';
+import {getAmmunition,
+        getWeaponPropertyNames,
+        needsReloading,
+        reloadWeapon} from '../weapons.js';
 
 export default class CharacterSheet extends ActorSheet {
 	static get defaultOptions() {
 	    return(foundry.utils.mergeObject(super.defaultOptions,
                                          {classes: ["bsh", "bsh-sheet", "bsh-character"],
+                                          dragDrop: [{dragSelector: ".bsh-item-name, .bsh-attribute-roll-icon", dropSelector: null}],
                 			    	      height: 920,
                 			    	      template: "systems/black-sword-hack/templates/sheets/character-sheet.html"}));
 	}
@@ -71,6 +80,7 @@ export default class CharacterSheet extends ActorSheet {
 		html.find(".bsh-dice-roll-icon").click(this._onDieRollClicked.bind(this));
 		html.find(".bsh-usage-die-roll-icon").click(this._onUsageDieRollClicked.bind(this));
 		html.find(".bsh-attack-roll-icon").click(this._onWeaponRollClicked.bind(this));
+		html.find(".bsh-reload-weapon-icon").click(this._onReloadWeaponClicked.bind(this));
 		html.find(".bsh-delete-item-icon").click(this._onDeleteItemClicked.bind(this));
 		html.find(".bsh-decrease-quantity-icon").click(this._onDecreaseItemQuantityClicked.bind(this));
 		html.find(".bsh-increase-quantity-icon").click(this._onIncreaseItemQuantityClicked.bind(this));
@@ -86,6 +96,8 @@ export default class CharacterSheet extends ActorSheet {
 		html.find(".bsh-summon-spirit-icon").click(this._onSummonSpiritClicked.bind(this));
 		html.find(".bsh-random-character-generator-button").click(this._onRandomizeMyCharacterClicked.bind(this));
 		html.find(".bsh-rest-icon").click(this._onTakeRestClicked.bind(this));
+		html.find(".bsh-berserk-icon").click(this._onBerserkClicked.bind(this));
+		html.find(".bsh-effect-control").click((event) => onManageActiveEffect(event, this.actor));
 		initializeCollapsibles();
 		super.activateListeners(html);
 	}
@@ -98,6 +110,31 @@ export default class CharacterSheet extends ActorSheet {
         }
     }
 
+	/**
+	 * Generates the drag data for owned items and attribute test icons so that
+	 * they can be dropped onto the hotbar to create macros.
+	 */
+	_onDragStart(event) {
+		let element = event.currentTarget;
+		let data    = null;
+
+		if(element.dataset.item) {
+			let item = this.actor.items.get(element.dataset.item);
+
+			if(item) {
+				data = item.toDragData();
+			}
+		} else if(element.dataset.attribute) {
+			data = {actorUuid: this.actor.uuid, attribute: element.dataset.attribute, type: "bsh.attribute"};
+		}
+
+		if(data) {
+			event.dataTransfer.setData("text/plain", JSON.stringify(data));
+		} else {
+			super._onDragStart(event);
+		}
+	}
+
 	_getCustomOrigins() {
 		let origins = {};
 
@@ -119,7 +156,7 @@ export default class CharacterSheet extends ActorSheet {
 
 		event.preventDefault();
 		if(element.dataset.spell) {
-			castSpell(element.dataset.spell);
+			castSpell(this.actor.items.get(element.dataset.spell));
 		} else {
 			console.error("Spell casting requested but requesting element does not have a spell attribute.");
 		}
@@ -196,38 +233,36 @@ export default class CharacterSheet extends ActorSheet {
 		return(false);
 	}
 
-	_onSummonDemonClicked(event) {
+	async _onSummonDemonClicked(event) {
 		let element = event.currentTarget;
 
 		event.preventDefault();
 		if(element.dataset.demon) {
-			let rollType = "standard";
+			let item     = this.actor.items.get(element.dataset.demon);
+			let settings = await getRollSettings(event, {label: (item ? item.name : ""),
+			                                             title: game.i18n.localize("bsh.messages.titles.summonDemon")});
 
-			if(event.shiftKey) {
-				rollType = "advantage";
-			} else if(event.ctrlKey) {
-				rollType = "disadvantage";
+			if(settings) {
+				summonDemon(item, settings.rollType, {rollMode: settings.rollMode});
 			}
-			summonDemon(element.dataset.demon, rollType);
 		} else {
 			console.error("Summoning of a demon was requested but requesting element does not have an actor attribute.");
 		}
 		return(false);
 	}
 
-	_onSummonSpiritClicked(event) {
+	async _onSummonSpiritClicked(event) {
 		let element = event.currentTarget;
 
 		event.preventDefault();
 		if(element.dataset.spirit) {
-			let rollType = "standard";
+			let item     = this.actor.items.get(element.dataset.spirit);
+			let settings = await getRollSettings(event, {label: (item ? item.name : ""),
+			                                             title: game.i18n.localize("bsh.messages.titles.callSpirit")});
 
-			if(event.shiftKey) {
-				rollType = "advantage";
-			} else if(event.ctrlKey) {
-				rollType = "disadvantage";
+			if(settings) {
+				summonSpirit(item, settings.rollType, {rollMode: settings.rollMode});
 			}
-			summonSpirit(element.dataset.spirit, rollType);
 		} else {
 			console.error("Summoning of a spirit was requested but requesting element does not have an actor attribute.");
 		}
@@ -274,7 +309,7 @@ export default class CharacterSheet extends ActorSheet {
 		return(false);
 	}
 
-	_onRollDoomDieClicked(event) {
+	async _onRollDoomDieClicked(event) {
 		let element = event.currentTarget;
 
 		event.preventDefault();
@@ -282,7 +317,15 @@ export default class CharacterSheet extends ActorSheet {
 			let actor = getActorById(element.dataset.actor);
 
 			if(actor) {
-				logDoomDieRoll(actor, event.shiftKey, event.ctrlKey)
+				let settings = await getRollSettings(event, {label: actor.system.doom,
+				                                             title: game.i18n.localize("bsh.messages.titles.doomRoll")});
+
+				if(settings) {
+					logDoomDieRoll(actor,
+					               settings.rollType === "advantage",
+					               settings.rollType === "disadvantage",
+					               {rollMode: settings.rollMode});
+				}
 			} else {
 				console.error(`Unable to find an actor with the id '${element.dataset.actor}'.`);
 			}
@@ -324,6 +367,28 @@ export default class CharacterSheet extends ActorSheet {
 		return(false);
 	}
 
+	/**
+	 * Switches the berserk status effect on or off for the character. A
+	 * berserk character only takes half of the damage they receive.
+	 */
+	_onBerserkClicked(event) {
+		event.preventDefault();
+		setStatusEffect(this.actor, "berserk", !hasStatusEffect(this.actor, "berserk"));
+	}
+
+	_onReloadWeaponClicked(event) {
+		let element = event.currentTarget;
+		let weapon  = (element.dataset.item ? this.actor.items.get(element.dataset.item) : null);
+
+		event.preventDefault();
+		if(weapon) {
+			reloadWeapon(weapon);
+		} else {
+			console.error(`Unable to locate a weapon with the id '${element.dataset.item}' to reload.`);
+			ui.notifications.error(game.i18n.localize("bsh.errors.weapons.notFound"));
+		}
+	}
+
 	_onTakeRestClicked(event) {
 		let element = event.currentTarget;
 
@@ -372,9 +437,23 @@ export default class CharacterSheet extends ActorSheet {
         context.spells      = context.items.filter((item) => item.type === "spell");
         context.spirits     = context.items.filter((item) => item.type === "spirit");
         context.weapons     = context.items.filter((item) => item.type === "weapon");
+        context.weapons.forEach((weapon) => {
+            let item = this.actor.items.get(weapon._id);
+
+            let ammunition = getAmmunition(item);
+
+            weapon.tags     = getWeaponPropertyNames(item);
+            weapon.unloaded = needsReloading(item);
+            if(ammunition) {
+                weapon.tags.push(`${ammunition.name} (${ammunition.system.usageDie.current === "^" ? ammunition.system.usageDie.maximum : ammunition.system.usageDie.current})`);
+            }
+        });
+        context.effects     = prepareActiveEffects(this.actor.allApplicableEffects(), this.actor);
         context.hasDemons   = (context.demons.length > 0);
         context.hasSpells   = (context.spells.length > 0);
         context.hasSpirits  = (context.spirits.length > 0);
+        context.berserk     = hasStatusEffect(this.actor, "berserk");
+        context.berserker   = (context.berserk || context.backgrounds.some((background) => `${background.key}`.endsWith("#berserker")));
     }
 
 	selectTabLabel(tabName, actor) {
@@ -1,4 +1,7 @@
+import {logCreatureAction} from "../chat_messages.js";
+import {checkMorale} from "../morale.js";
 import {onInfoIconClicked} from "../shared.js";
+import {getActorLevel} from "../threat.js";
 
 export default class CreatureSheet extends ActorSheet {
     static get defaultOptions() {
@@ -15,6 +18,8 @@ export default class CreatureSheet extends ActorSheet {
 
         context.configuration = CONFIG.configuration;
         context.actions       = this._prepareActions(context); 
+        context.attributes    = this._prepareAttributes();
+        context.threatLevel   = getActorLevel(this.actor);
 
         return(context);
     }
@@ -26,11 +31,44 @@ export default class CreatureSheet extends ActorSheet {
 
     activateListeners(html) {
         html.find('input[type="number"]').on("input", this._onNumericInputChanged.bind(this));
+        html.find(".bsh-check-morale-button").click(this._onCheckMoraleClicked.bind(this));
+        html.find(".bsh-creature-action-name").click(this._onActionClicked.bind(this));
         html.find(".bsh-delete-action").click(this._onDeleteActionClicked.bind(this));
         html.find(".bsh-info-icon").click(onInfoIconClicked);
         super.activateListeners(html);
     }
 
+    _onActionClicked(event) {
+        let actionId = event.currentTarget.dataset.id;
+
+        event.preventDefault();
+        if(actionId) {
+            let action  = this.actor.items.get(actionId);
+            let targets = Array.from(game.user.targets).map((token) => token.actor)
+                                                       .filter((actor) => actor && actor.type === "character");
+
+            if(action) {
+                if(targets.length > 0) {
+                    logCreatureAction(action, targets);
+                } else {
+                    ui.notifications.warn(game.i18n.localize("bsh.errors.creatures.noTargets"));
+                }
+            } else {
+                console.error(`Unable to locate a creature action with the id '${actionId}'.`);
+                ui.notifications.error(game.i18n.localize("bsh.errors.items.notFound"));
+            }
+        } else {
+            console.error("Creature action clicked but clicked element has no action id data attribute.");
+        }
+        return(false);
+    }
+
+    _onCheckMoraleClicked(event) {
+        event.preventDefault();
+        checkMorale(this.actor).catch((error) => console.error(`The morale check for '${this.actor.name}' failed.`, error));
+        return(false);
+    }
+
     _onDeleteActionClicked(event) {
         let actionId = event.currentTarget.dataset.id;
 
@@ -53,6 +91,16 @@ export default class CreatureSheet extends ActorSheet {
         }
     }
 
+    _prepareAttributes() {
+        let attributes = this.actor.system.attributes;
+
+        return(["strength", "dexterity", "constitution", "intelligence", "wisdom", "charisma"].map((key) => {
+            return({key:   key,
+                    label: `bsh.attributes.${key}.short`,
+                    value: (attributes[key] === null || attributes[key] === undefined ? "" : attributes[key])});
+        }));
+    }
+
     _prepareActions(context) {
         let actions = [];
 
@@ -1,3 +1,5 @@
+import {onManageActiveEffect, prepareActiveEffects} from '../active_effects.js';
+
 export default class EquipmentSheet  extends ItemSheet {
     static get defaultOptions() {
         return(foundry.utils.mergeObject(super.defaultOptions,
@@ -15,6 +17,14 @@ export default class EquipmentSheet  extends ItemSheet {
 		let context = super.getData();
 
 		context.configuration = CONFIG.configuration;
+		context.effects       = prepareActiveEffects(this.item.effects);
 		return(context);
 	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+		if(this.isEditable) {
+			html.find(".bsh-effect-control").click((event) => onManageActiveEffect(event, this.item));
+		}
+	}
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+import {onManageActiveEffect, prepareActiveEffects} from '../active_effects.js';
+
 export default class WeaponSheet  extends ItemSheet {
 	get template() {
 		return("systems/black-sword-hack/templates/sheets/weapon-sheet.html");
@@ -6,6 +8,21 @@ export default class WeaponSheet  extends ItemSheet {
 	getData() {
 		let data = super.getData();
 		data.configuration = CONFIG.configuration;
+		data.effects       = prepareActiveEffects(this.item.effects);
+		if(this.item.actor && this.item.system.type === "ranged") {
+			data.ammunitionList = this.item.actor.items.filter((item) => item.type === "consumable")
+			                                           .reduce((list, item) => {
+			                                               list[item.id] = item.name;
+			                                               return(list);
+			                                           }, {"": game.i18n.localize("bsh.none")});
+		}
 		return(data);
 	}
+
+	activateListeners(html) {
+		super.activateListeners(html);
+		if(this.isEditable) {
+			html.find(".bsh-effect-control").click((event) => onManageActiveEffect(event, this.item));
+		}
+	}
 }
\ No newline at end of file
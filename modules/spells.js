@@ -1,47 +1,62 @@
 import {logSpellCast,
         logSpellCastFailure} from './chat_messages.js';
 import {BSHConfiguration} from './configuration.js';
+import {BSHRoll} from './dice/bsh_roll.js';
+import {RollModifiers} from './dice/roll_modifiers.js';
 import {calculateAttributeValues,
         getOwnedItemById,
         interpolate,
         rollEm} from './shared.js';
 
 /**
- * Retrieves a spell and attempts to cast it (if possible), reporting the
- * result to chat.
+ * Attempts to cast a spell (an owned item document) if possible, reporting the
+ * result to chat unless the chat option is set to false. Returns a promise
+ * that yields the details of the casting roll or null if the spell could not
+ * be cast.
  */
-export async function castSpell(spellId) {
-    let spell = getOwnedItemById(spellId);
-
-    if(spell && spell.type === "spell") {
+export async function castSpell(spell, options={}) {
+    if(spell && spell.type === "spell" && spell.actor) {
         if(spell.system.state !== "unavailable") {
             let caster     = spell.actor;
-            let dice       = null;
             let attributes = calculateAttributeValues(caster.system, BSHConfiguration);
-            let message;
             let data       = {system: {state: "cast"}};
+            let modifiers  = new RollModifiers();
+            let dice;
 
-            if(spell.system.state === "available") {
-                dice = new Roll("1d20");
-            } else {
-                dice = new Roll("2d20kh");
+            // Casting a spell that has already been cast is made with disadvantage.
+            if(spell.system.state !== "available") {
+                modifiers.add("spell", "disadvantage");
             }
-            rollEm(dice).then((roll) => {
-                if(roll.total >= attributes.intelligence) {
+            dice = BSHRoll.test({modifiers: modifiers, target: attributes.intelligence});
+
+            return(rollEm(dice).then(async (roll) => {
+                let success = roll.isSuccess;
+
+                if(!success) {
                     data.system.state = "unavailable";
-                    logSpellCastFailure(spell, roll);
-                } else {
-                    logSpellCast(spell, roll);
                 }
-                spell.update(data, {diff: true});
-            });
+                if(options.chat !== false) {
+                    if(success) {
+                        logSpellCast(spell, roll, options);
+                    } else {
+                        logSpellCastFailure(spell, roll, options);
+                    }
+                }
+                await spell.update(data, {diff: true});
+                return({formula: roll.formula,
+                        result:  roll.total,
+                        spell:   spell.name,
+                        state:   data.system.state,
+                        success: success});
+            }));
         } else {
             console.warn(`Unable to cast the ${spell.name} spell as it is not currently available for use.`);
         }
     } else {
-        console.error(`Unable to locate a spell with the id ${spellId}.`);
+        console.error("Unable to cast a spell as it is missing or is not an owned spell.");
         ui.notifications.error(game.i18n.localize("bsh.errors.spells.notFound"));
     }
+    return(null);
 }
 
 /**
@@ -53,7 +68,7 @@ export async function resetSpellState(spellId) {
     if(spell && spell.type === "spell") {
         spell.update({system: {state: "available"}}, {diff: true});
     } else {
-        console.error(`Unable to locate a spell with the id ${spellId}.`);
+        console.error("Unable to cast a spell as it is missing or is not an owned spell.");
         ui.notifications.error(game.i18n.localize("bsh.errors.spells.notFound"));
     }
 }
@@ -0,0 +1,66 @@
+import {BSHConfiguration} from './configuration.js';
+import {getHitPointsField} from './damage.js';
+
+/**
+ * Registers the BSH status effects so that they are available on tokens. Core
+ * status effects that share an id with a BSH status effect are replaced.
+ */
+export function registerStatusEffects() {
+    let ids     = BSHConfiguration.statusEffects.map((effect) => effect.id);
+    let effects = BSHConfiguration.statusEffects.map((effect) => {
+        return({id: effect.id, img: effect.img, name: effect.name});
+    });
+
+    CONFIG.statusEffects = effects.concat(CONFIG.statusEffects.filter((effect) => !ids.includes(effect.id)));
+}
+
+/**
+ * Returns true if an actor currently has a particular status effect.
+ */
+export function hasStatusEffect(actor, statusId) {
+    return(!!actor.statuses && actor.statuses.has(statusId));
+}
+
+/**
+ * Switches a status effect on or off for an actor. Nothing is done if the
+ * actor is already in the requested state.
+ */
+export async function setStatusEffect(actor, statusId, active) {
+    if(hasStatusEffect(actor, statusId) !== active) {
+        await actor.toggleStatusEffect(statusId, {active: active});
+    }
+}
+
+/**
+ * Adds the roll modifiers for an actors status effects and active effects to
+ * a roll modifier stack. Each status effect that forces disadvantage on the
+ * kind of roll adds a disadvantage and the roll mode modifier granted by
+ * active effects adds one advantage (if positive) or disadvantage (if
+ * negative) per point. Returns the stack passed in.
+ */
+export function addEffectRollModifiers(actor, kind, modifiers) {
+    let rollMode = (actor.system.modifiers ? (parseInt(actor.system.modifiers.rollMode) || 0) : 0);
+
+    BSHConfiguration.statusEffects.forEach((effect) => {
+        if(effect.rolls.includes(kind) && hasStatusEffect(actor, effect.id)) {
+            modifiers.add("status", "disadvantage", game.i18n.localize(effect.name));
+        }
+    });
+
+    for(let i = 0; i < Math.abs(rollMode); i++) {
+        modifiers.add("effect", (rollMode > 0 ? "advantage" : "disadvantage"));
+    }
+    return(modifiers);
+}
+
+/**
+ * Hook function for actor updates that switches the unconscious status effect
+ * on when an actors hit points drop to zero and off again when they recover.
+ */
+export function onActorUpdated(actor, changes, options, userId) {
+    let field = getHitPointsField(actor);
+
+    if(userId === game.user.id && changes.system && changes.system[field] !== undefined) {
+        setStatusEffect(actor, "unconscious", actor.system[field] <= 0);
+    }
+}
@@ -0,0 +1,60 @@
+import {calculateLevel} from './shared.js';
+
+/**
+ * Returns the level of an actor. For characters this is derived from the
+ * stories they have recorded, for creatures it is the level set on the sheet.
+ */
+export function getActorLevel(actor) {
+    if(actor.type === "character") {
+        return(calculateLevel(actor.system, CONFIG.configuration));
+    } else {
+        return(parseInt(actor.system.level) || 0);
+    }
+}
+
+/**
+ * Returns a list of the non-character actors for the tokens that the current
+ * user has targeted on the canvas.
+ */
+export function getTargetedOpponents() {
+    let opponents = [];
+
+    game.user.targets.forEach((token) => {
+        if(token.actor && token.actor.type !== "character" && !opponents.includes(token.actor)) {
+            opponents.push(token.actor);
+        }
+    });
+
+    return(opponents);
+}
+
+/**
+ * Calculates the Threat Level that applies to tests made by a character when
+ * facing a set of opponents. The threat is the amount by which the level of
+ * the highest level opponent exceeds the level of the character. Only
+ * characters are affected by threat so the function returns zero for any
+ * other type of actor. If a list of opponents is not specified the actors
+ * for the tokens currently targeted by the user are used.
+ */
+export function calculateThreat(actor, opponents=getTargetedOpponents()) {
+    let threat = 0;
+
+    if(actor.type === "character" && opponents.length > 0) {
+        let highest = Math.max(...opponents.map((opponent) => getActorLevel(opponent)));
+
+        threat = Math.max(highest - getActorLevel(actor), 0);
+    }
+
+    return(threat);
+}
+
+/**
+ * Generates the threat details to be displayed on a chat card for a roll
+ * under test. The details indicate the threat that was applied and whether
+ * the threat changed the outcome of the test (i.e. whether the test would
+ * have succeeded without it).
+ */
+export function describeThreat(threat, total, score) {
+    return({decisive: (threat > 0 && (total - threat) < score && total >= score),
+            value:    threat});
+}
@@ -0,0 +1,163 @@
+import {interpolate} from './shared.js';
+
+/**
+ * This module contains the functions that work out how a weapon is used in an
+ * attack. A weapon can have a number of properties (thrown, versatile, reach,
+ * loading, silvered and dualWield) and some of these give the weapon more
+ * than one way to attack (its attack modes). The attack mode decides the
+ * attribute tested for the attack, the damage rolled and the range at which
+ * the attack can be made. The attack modes are...
+ *
+ *   standard    A normal attack with the weapon.
+ *   thrown      The weapon is thrown (thrown weapons only).
+ *   twoHanded   The weapon is wielded in both hands (versatile weapons only).
+ *   dualWield   The weapon is wielded alongside another dual wield weapon.
+ */
+
+/**
+ * Returns true if a weapon has a particular property.
+ */
+export function hasWeaponProperty(weapon, property) {
+    return(!!(weapon.system.properties && weapon.system.properties[property]));
+}
+
+/**
+ * Returns a list of the localized names for the properties a weapon has.
+ */
+export function getWeaponPropertyNames(weapon) {
+    return(Object.entries(CONFIG.configuration.weaponProperties)
+               .filter(([property, label]) => hasWeaponProperty(weapon, property))
+               .map(([property, label]) => game.i18n.localize(label)));
+}
+
+/**
+ * Returns an object mapping the attack modes available for a weapon to the
+ * localization keys for their names. The dual wield mode is only available if
+ * the weapon owner has another dual wield weapon.
+ */
+export function getAttackModes(weapon) {
+    let modes = {standard: "bsh.weapons.attackModes.standard"};
+
+    if(weapon.system.type !== "ranged" && hasWeaponProperty(weapon, "thrown")) {
+        modes.thrown = "bsh.weapons.attackModes.thrown";
+    }
+
+    if(weapon.system.hands < 2 && hasWeaponProperty(weapon, "versatile")) {
+        modes.twoHanded = "bsh.weapons.attackModes.twoHanded";
+    }
+
+    if(hasWeaponProperty(weapon, "dualWield") && weapon.actor) {
+        if(weapon.actor.items.some((item) => item.type === "weapon" && item.id !== weapon.id && hasWeaponProperty(item, "dualWield"))) {
+            modes.dualWield = "bsh.weapons.attackModes.dualWield";
+        }
+    }
+
+    return(modes);
+}
+
+/**
+ * Returns the attribute tested when attacking with a weapon in a given attack
+ * mode. Ranged and thrown attacks test dexterity while all other attacks test
+ * strength.
+ */
+export function getAttackAttribute(weapon, mode="standard") {
+    return(weapon.system.type === "ranged" || mode === "thrown" ? "dexterity" : "strength");
+}
+
+/**
+ * Returns the range (a key into the weapon ranges configuration) at which a
+ * weapon can attack in a given attack mode.
+ */
+export function getAttackRange(weapon, mode="standard") {
+    if(weapon.system.type === "ranged") {
+        return("far");
+    } else if(mode === "thrown") {
+        return("near");
+    } else if(hasWeaponProperty(weapon, "reach")) {
+        return("close");
+    }
+    return("engaged");
+}
+
+/**
+ * Returns true if damage for an attack with a weapon in a given attack mode is
+ * rolled as for a two handed weapon (i.e. two dice keeping the highest).
+ */
+export function isTwoHandedAttack(weapon, mode="standard") {
+    return(weapon.system.hands > 1 || mode === "twoHanded" || mode === "dualWield");
+}
+
+/**
+ * Returns the list of damage types for an attack with a weapon. Silvered
+ * weapons inflict silver damage in addition to their normal damage type.
+ */
+export function getWeaponDamageTypes(weapon) {
+    let types = [weapon.system.damageType || "physical"];
+
+    if(hasWeaponProperty(weapon, "silvered") && !types.includes("silver")) {
+        types.push("silver");
+    }
+    return(types);
+}
+
+/**
+ * Returns true if a weapon has to be reloaded before it can be used to attack
+ * again.
+ */
+export function needsReloading(weapon) {
+    return(hasWeaponProperty(weapon, "loading") && !weapon.system.loaded);
+}
+
+/**
+ * Returns the consumable used as ammunition by a weapon, null if the weapon
+ * doesn't use ammunition or undefined if its ammunition can no longer be found
+ * on the weapon owner.
+ */
+export function getAmmunition(weapon) {
+    if(weapon.system.type !== "ranged" || !weapon.system.ammunition) {
+        return(null);
+    }
+    return(weapon.actor ? weapon.actor.items.find((item) => item.id === weapon.system.ammunition && item.type === "consumable") : undefined);
+}
+
+/**
+ * Returns true if the usage die for a consumable used as ammunition is
+ * exhausted.
+ */
+export function isAmmunitionExhausted(ammunition) {
+    return(ammunition.system.usageDie.current === "exhausted");
+}
+
+/**
+ * Checks whether a weapon can be used to attack, displaying a notification
+ * explaining why not if it can't. A weapon can't be used if it needs to be
+ * reloaded or if its ammunition is missing or exhausted. Returns true if the
+ * weapon is ready to attack.
+ */
+export function isWeaponReady(weapon) {
+    let ammunition = getAmmunition(weapon);
+
+    if(needsReloading(weapon)) {
+        ui.notifications.warn(interpolate("bsh.errors.weapons.notLoaded", {name: weapon.name}));
+        return(false);
+    }
+
+    if(ammunition === undefined) {
+        ui.notifications.warn(interpolate("bsh.errors.weapons.ammunitionMissing", {name: weapon.name}));
+        return(false);
+    }
+
+    if(ammunition && isAmmunitionExhausted(ammunition)) {
+        ui.notifications.warn(interpolate("bsh.errors.weapons.ammunitionExhausted", {ammunition: ammunition.name, name: weapon.name}));
+        return(false);
+    }
+
+    return(true);
+}
+
+/**
+ * Reloads a weapon with the loading property.
+ */
+export function reloadWeapon(weapon) {
+    return(weapon.update({system: {loaded: true}}, {diff: true}));
+}